@@ -0,0 +1,101 @@
+// Bot players for Rules Mode. A bot sits in gameState.players like anyone else
+// (flagged isBot) and plays by sending the same messages a client would; this
+// module only decides what to send. Its mind - profile, memory and the state
+// of its seeded random numbers - lives in gameState.bots, which is never sent to
+// clients, so a bot with the same seed makes the same choices every time.
+//
+// Memory model: a bot remembers every card it sees face up and the claim on
+// every gift it sees, and follows cards as they move around the table. Each
+// time it is its move, every memory fades with its profile's forgetChance.
+// It challenges a gift when it remembers the card and the claim is wrong, or
+// on a hunch (suspicion) when it has no idea. Passing, it names what it
+// remembers - or on purpose something else (bluffChance) - and makes a name
+// up once it has forgotten.
+import { getCardName, isClaimFor, ITEM_NAME_LIST } from '../shared/catalogue.js';
+import { isGameOver } from '../shared/settings.js';
+import { createRandom, pickRandom } from '../shared/random.js';
+import { getPassDirection, getNeighbour } from './rules.js';
+
+export const BOT_PROFILES = {
+    easy: { forgetChance: 0.4, suspicion: 0.15, bluffChance: 0.05 },
+    normal: { forgetChance: 0.2, suspicion: 0.3, bluffChance: 0.1 },
+    hard: { forgetChance: 0.05, suspicion: 0.4, bluffChance: 0.15 }
+};
+
+export const BOT_NAMES = ['Bolt', 'Pixel', 'Gizmo', 'Sprocket', 'Widget', 'Cogsworth', 'Rivet'];
+
+// The profile is copied in, so a single bot can be tuned without touching the levels
+export function createBotMind(level, seed) {
+    return { profile: { ...BOT_PROFILES[level] }, random: seed >>> 0, memory: {} }; // memory: card id -> { name, seen }
+}
+
+// Who has to act next in a rules-mode game, if anyone
+export function whoseMove(gameState) {
+    const rules = gameState.rules;
+    if (!gameState.rulesMode || !gameState.gameStarted || !rules) return null;
+    if (isGameOver(gameState.players, gameState.settings)) return null;
+    return rules.phase === 'respond' ? rules.pendingGift.toPlayerId : rules.turnPlayerId;
+}
+
+// Take in the table: face-up cards are seen, claims on gifts are heard.
+// A claim never overwrites a card the bot has actually seen.
+export function observeTable(mind, gameState) {
+    for (const player of gameState.players) {
+        for (const card of player.cards) {
+            if (!card) continue;
+            if (!card.isFlipped) {
+                mind.memory[card.id] = { name: getCardName(card.id), seen: true };
+            } else if (card.gift && !mind.memory[card.id]) {
+                mind.memory[card.id] = { name: card.gift.claim, seen: false };
+            }
+        }
+    }
+}
+
+// The message the bot sends now, or null when it is not its move
+export function chooseBotMove(gameState, bot, mind) {
+    if (whoseMove(gameState) !== bot.id) return null;
+
+    const profile = mind.profile;
+    const random = createRandom(mind.random);
+    forget(mind, profile, random);
+
+    const move = decide(gameState, bot, mind, profile, random);
+    mind.random = random.getState();
+    return move;
+}
+
+function forget(mind, profile, random) {
+    for (const cardId of Object.keys(mind.memory)) {
+        if (random() < profile.forgetChance) delete mind.memory[cardId];
+    }
+}
+
+function decide(gameState, bot, mind, profile, random) {
+    const rules = gameState.rules;
+
+    if (rules.phase === 'respond') {
+        const gift = rules.pendingGift;
+        const card = bot.cards[gift.slotIndex];
+        const memory = mind.memory[card.id];
+        const doubts = memory && memory.seen
+            ? !isClaimFor(card.id, gift.claim)
+            : random() < profile.suspicion;
+        return doubts ? { type: 'challenge', slotIndex: gift.slotIndex } : { type: 'acceptGift' };
+    }
+
+    if (rules.phase === 'draw' && gameState.deck.length > 0) return { type: 'draw' };
+
+    // Pass: the oldest card, or the one just accepted, to where its back points
+    const slotIndex = rules.phase === 'pass' ? rules.passSlot : 0;
+    const card = bot.cards[slotIndex];
+    if (!card) return null; // Nothing to pass - wait for the turn to move on
+    const receiver = getNeighbour(gameState.players, bot.id, getPassDirection(card, gameState.settings));
+    return { type: 'pass', slotIndex, toPlayerId: receiver.id, claim: makeClaim(mind.memory[card.id], profile, random) };
+}
+
+function makeClaim(memory, profile, random) {
+    if (memory && random() >= profile.bluffChance) return memory.name;
+    const others = memory ? ITEM_NAME_LIST.filter(name => name !== memory.name) : ITEM_NAME_LIST;
+    return pickRandom(random, others);
+}
@@ -0,0 +1,62 @@
+// "That's not a hat!" - challenging a received card, in sandbox and rules mode.
+// A passed card carries a gift record ({ fromPlayerId, claim }) until it moves
+// again or its holder turns it face up. Challenging reveals the card, compares
+// it with the claim and hands the penalty to whoever was wrong - nobody, when
+// that was a giver who has since left.
+import { isClaimFor } from '../shared/catalogue.js';
+
+// Reasons recorded on discard history entries
+export const DISCARD_REASONS = {
+    discard: 'discard', // Dragged to the penalty zone by hand
+    bluff: 'bluff', // Giver's claim was false
+    wrongChallenge: 'wrongChallenge' // Giver told the truth
+};
+
+export function resolveChallenge(gameState, challenger, slotIndex) {
+    const card = challenger.cards[slotIndex];
+    if (!card) return { error: 'noCardToChallenge' };
+    if (!card.gift) return { error: 'notAGift' };
+    if (!card.gift.claim) return { error: 'nothingAnnounced' };
+
+    const gift = card.gift;
+    const giver = gameState.players.find(p => p.id === gift.fromPlayerId);
+    const truthful = isClaimFor(card.id, gift.claim);
+    // An honest giver wins the challenge; a bluffing giver loses it - unless
+    // they have left the table, when nobody takes the card
+    const loser = truthful ? challenger : giver || null;
+
+    // Reveal to everyone and move the card to the loser's penalty pile
+    delete card.gift;
+    card.isFlipped = false;
+    challenger.cards[slotIndex] = null;
+    normalizeCards(challenger);
+    if (!loser) return { gift, card, truthful, loser, gameOver: false };
+
+    loser.penalties++;
+
+    gameState.discardHistory.push({
+        card,
+        playerId: loser.id,
+        playerName: loser.name,
+        reason: truthful ? DISCARD_REASONS.wrongChallenge : DISCARD_REASONS.bluff,
+        claim: gift.claim,
+        timestamp: Date.now()
+    });
+
+    return { gift, card, truthful, loser, gameOver: loser.penalties >= gameState.settings.penaltyLimit };
+}
+
+// Take the card at fromSlot out and put it back in at toSlot, shifting the
+// cards in between by one slot
+export function moveSlot(cards, fromSlot, toSlot) {
+    const [card] = cards.splice(fromSlot, 1);
+    cards.splice(toSlot, 0, card);
+}
+
+// Keep cards stacked from the bottom slot up
+export function normalizeCards(player) {
+    const cards = player.cards.filter(c => c !== null);
+    for (let i = 0; i < player.cards.length; i++) {
+        player.cards[i] = cards[i] || null;
+    }
+}
@@ -0,0 +1,45 @@
+// Table talk: chat messages and quick reactions. Neither changes the game, so
+// they are sent without a state version. The last few messages are kept (and
+// stored with the room) for whoever connects later; reactions are only passed on.
+import { CHAT_HISTORY_LIMIT } from '../shared/protocol.js';
+
+// At most `limit` of each kind per player within `windowMs`
+const RATE_LIMITS = {
+    chat: { limit: 5, windowMs: 10000 },
+    react: { limit: 8, windowMs: 5000 }
+};
+
+export class RateLimiter {
+    constructor(limits = RATE_LIMITS) {
+        this.limits = limits;
+        this.sent = new Map(); // `${kind}:${playerId}` -> recent timestamps
+    }
+
+    // Count an attempt; false once the player has used up their allowance
+    allow(kind, playerId, now = Date.now()) {
+        const { limit, windowMs } = this.limits[kind];
+        const key = `${kind}:${playerId}`;
+        const recent = (this.sent.get(key) || []).filter(at => now - at < windowMs);
+        const allowed = recent.length < limit;
+        if (allowed) recent.push(now);
+        this.sent.set(key, recent);
+        return allowed;
+    }
+
+    forget(playerId) {
+        for (const kind of Object.keys(this.limits)) this.sent.delete(`${kind}:${playerId}`);
+    }
+}
+
+// Control characters and runs of whitespace become single spaces
+export function cleanChatText(text) {
+    return text.replace(/[\u0000-\u001F\u007F\s]+/g, ' ').trim();
+}
+
+// Add a message to the history, dropping the oldest past the limit
+export function addChatMessage(history, player, text) {
+    const message = { playerId: player.id, name: player.name, text, at: Date.now() };
+    history.push(message);
+    if (history.length > CHAT_HISTORY_LIMIT) history.splice(0, history.length - CHAT_HISTORY_LIMIT);
+    return message;
+}
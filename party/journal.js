@@ -0,0 +1,93 @@
+// Take-backs for sandbox play. Every table action (draw, flip, move, swap,
+// reorder, discard) is recorded with what is needed to invert it. Only the most recent
+// action can be undone, and only while nothing else has changed the table:
+// changes the journal does not record (a challenge, someone leaving) clear
+// it, as undoing past one would put back cards the change has already moved
+// on. Players connecting and disconnecting leave it alone.
+import { normalizeCards, moveSlot } from './challenge.js';
+
+const JOURNAL_LIMIT = 20;
+
+export class ActionJournal {
+    constructor(limit = JOURNAL_LIMIT) {
+        this.limit = limit;
+        this.entries = [];
+        this.revision = 0; // Counts records and pops, so the server can tell it was used
+    }
+
+    // entry: { action, playerId, ...inverse data }
+    record(entry) {
+        this.revision++;
+        this.entries.push({ ...entry, timestamp: Date.now() });
+        if (this.entries.length > this.limit) this.entries.shift();
+    }
+
+    // The last action - what the table looks like after it
+    latest() {
+        return this.entries[this.entries.length - 1] || null;
+    }
+
+    // Take the last entry off; the one before it describes the table again
+    pop() {
+        this.revision++;
+        return this.entries.pop();
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+// Put each touched player's slots back exactly as they were
+function restoreCards(gameState, before) {
+    for (const [playerId, cards] of Object.entries(before)) {
+        const player = gameState.players.find(p => p.id === playerId);
+        if (player) player.cards = [...cards];
+    }
+}
+
+const INVERSES = {
+    // Back on top of the deck
+    draw(gameState, { playerId, slotIndex }) {
+        const player = gameState.players.find(p => p.id === playerId);
+        const card = player.cards[slotIndex];
+        player.cards[slotIndex] = null;
+        normalizeCards(player);
+        gameState.deck.push(card);
+    },
+
+    flip(gameState, { playerId, slotIndex, gift }) {
+        const card = gameState.players.find(p => p.id === playerId).cards[slotIndex];
+        card.isFlipped = !card.isFlipped;
+        if (gift) card.gift = gift;
+    },
+
+    swapCards(gameState, { playerId, fromSlot, toSlot }) {
+        const player = gameState.players.find(p => p.id === playerId);
+        [player.cards[fromSlot], player.cards[toSlot]] = [player.cards[toSlot], player.cards[fromSlot]];
+    },
+
+    reorderCards(gameState, { playerId, fromSlot, toSlot }) {
+        moveSlot(gameState.players.find(p => p.id === playerId).cards, toSlot, fromSlot);
+    },
+
+    moveCard(gameState, { before, card, gift }) {
+        restoreCards(gameState, before);
+        if (gift) {
+            card.gift = gift;
+        } else {
+            delete card.gift;
+        }
+    },
+
+    // Out of the penalty pile and back into the slot; the penalty goes too
+    discard(gameState, { playerId, before }) {
+        restoreCards(gameState, before);
+        gameState.players.find(p => p.id === playerId).penalties--;
+        gameState.discardHistory.pop();
+    }
+};
+
+export function undoAction(gameState, entry) {
+    INVERSES[entry.action](gameState, entry);
+}
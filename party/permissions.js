@@ -0,0 +1,157 @@
+// Who may do what - checked in GameServer.onMessage before any handler runs.
+// Every action lists the checks it needs; the first failing check rejects the
+// message with an error code for the sender; the client words it.
+import { isGameOver } from '../shared/settings.js';
+import { isResultFinal } from './view.js';
+
+const deny = code => ({ code });
+
+const isSlotIndex = (player, slotIndex) =>
+    Number.isInteger(slotIndex) && slotIndex >= 0 && slotIndex < player.cards.length;
+
+// === CHECKS ===
+// Each check gets { gameState, actor, data } and returns a denial or null
+
+function seated({ actor }) {
+    return actor ? null : deny('notSeated');
+}
+
+function unseated({ actor }) {
+    return actor ? deny('alreadySeated') : null;
+}
+
+function host({ gameState, actor }) {
+    return actor && actor.id === gameState.hostId ? null : deny('notHost');
+}
+
+function inLobby({ gameState }) {
+    return gameState.gameStarted ? deny('gameInProgress') : null;
+}
+
+function started({ gameState }) {
+    return gameState.gameStarted ? null : deny('gameNotStarted');
+}
+
+// A final result reveals the seed, and with it the deck - no taking moves back after that
+function resultOpen({ gameState }) {
+    return isResultFinal(gameState) ? deny('gameOver') : null;
+}
+
+function awaitingResult({ gameState }) {
+    const open = isGameOver(gameState.players, gameState.settings) && !isResultFinal(gameState);
+    return open ? null : deny('nothingToConfirm');
+}
+
+function sandboxOnly({ gameState }) {
+    return gameState.rulesMode ? deny('rulesMode') : null;
+}
+
+function rulesOnly({ gameState }) {
+    return gameState.rulesMode ? null : deny('notRulesMode');
+}
+
+// The host can restart at any time; everyone else once somebody has lost
+function canReset(context) {
+    const { gameState } = context;
+    if (!host(context) || isGameOver(gameState.players, gameState.settings)) return null;
+    return deny('notHost');
+}
+
+// Actions on "your" cards may name the player, but it has to be you
+function ownPlayer({ actor, data }) {
+    if (data.playerId !== undefined && data.playerId !== actor.id) {
+        return deny('notYourCard');
+    }
+    return null;
+}
+
+function ownSlot({ actor, data }) {
+    if (!isSlotIndex(actor, data.slotIndex)) return deny('invalidSlot');
+    return actor.cards[data.slotIndex] ? null : deny('emptySlot');
+}
+
+// Free play still has limits: take a card for yourself, or hand one of yours on
+function canMoveCard({ gameState, actor, data }) {
+    const fromPlayer = gameState.players.find(p => p.id === data.fromPlayerId);
+    const toPlayer = gameState.players.find(p => p.id === data.toPlayerId);
+    if (!fromPlayer || !toPlayer) return deny('unknownPlayer');
+    if (fromPlayer.id !== actor.id && toPlayer.id !== actor.id) {
+        return deny('notYourCard');
+    }
+    if (!isSlotIndex(fromPlayer, data.fromSlot) || !isSlotIndex(toPlayer, data.toSlot)) {
+        return deny('invalidSlot');
+    }
+    if (!fromPlayer.cards[data.fromSlot]) return deny('emptySlot');
+    if (toPlayer.cards[data.toSlot]) return deny('slotTaken');
+    return null;
+}
+
+// Swaps name two of your own slots - the bottom two when none are named
+function swapSlots({ actor, data }) {
+    const fromSlot = data.fromSlot ?? 0;
+    const toSlot = data.toSlot ?? 1;
+    return isSlotIndex(actor, fromSlot) && isSlotIndex(actor, toSlot) ? null : deny('invalidSlot');
+}
+
+// Reordering takes one of your cards to any of your slots, empty or not (the
+// handler stops it on top of the stack)
+function reorderSlots({ actor, data }) {
+    if (!isSlotIndex(actor, data.fromSlot) || !isSlotIndex(actor, data.toSlot)) {
+        return deny('invalidSlot');
+    }
+    return actor.cards[data.fromSlot] ? null : deny('emptySlot');
+}
+
+function botSeat({ gameState, data }) {
+    const target = gameState.players.find(p => p.id === data.playerId);
+    return target && target.isBot ? null : deny('notABot');
+}
+
+function challengeSlot({ actor, data }) {
+    return isSlotIndex(actor, data.slotIndex) ? null : deny('invalidSlot');
+}
+
+// === POLICY ===
+const POLICY = {
+    join: [],
+    spectate: [unseated],
+    leave: [],
+    ping: [],
+    sync: [],
+    start: [host, inLobby],
+    updateSettings: [host, inLobby],
+    toggleRulesMode: [host, inLobby],
+    setMatch: [host, inLobby],
+    setSeed: [host, inLobby],
+    addBot: [host, inLobby],
+    removeBot: [host, inLobby, botSeat],
+    reset: [seated, started, canReset],
+    draw: [seated, started],
+    flip: [seated, started, ownSlot],
+    moveCard: [seated, started, sandboxOnly, canMoveCard],
+    swapCards: [seated, started, sandboxOnly, ownPlayer, swapSlots],
+    reorderCards: [seated, started, sandboxOnly, reorderSlots],
+    discard: [seated, started, sandboxOnly, ownPlayer, ownSlot],
+    undo: [seated, started, sandboxOnly, resultOpen],
+    confirmResult: [host, started, awaitingResult],
+    getReplay: [seated, started],
+    pass: [seated, started, rulesOnly],
+    acceptGift: [seated, started, rulesOnly],
+    challenge: [seated, started, challengeSlot],
+    chat: [seated],
+    react: [seated, started]
+};
+
+// Returns null when the actor (a player, or undefined before joining) may
+// perform the action, otherwise { code }
+export function authorize(gameState, actor, data) {
+    const checks = POLICY[data.type];
+    if (!checks) return deny('unknownAction');
+
+    const context = { gameState, actor, data };
+    for (const check of checks) {
+        const denial = check(context);
+        if (denial) return denial;
+    }
+    return null;
+}
@@ -0,0 +1,102 @@
+// Replay recording: a timestamped log of one game, from the start to game
+// over (or a reset). The start entry holds the dealt table and the deck order;
+// every later entry holds the action as it was sent plus what it changed
+// (only the seats that changed, the deck size and new penalty cards), so a
+// viewer can step through it without re-running the rules.
+// Replays reveal every card, so they are only handed out once the result is final.
+import { REPLAY_FORMAT } from '../shared/protocol.js';
+import { isGameOver } from '../shared/settings.js';
+import { isResultFinal } from './view.js';
+
+// Room storage holds at most 128 KiB per value. Stop recording a little short
+// of it, leaving room for the seats the recorder keeps alongside the events.
+const MAX_REPLAY_BYTES = 120 * 1024;
+
+const byteLength = value => new TextEncoder().encode(JSON.stringify(value)).length;
+
+// Actions worth replaying; joins, pings and the like are left out
+const RECORDED_ACTIONS = new Set([
+    'draw', 'flip', 'moveCard', 'swapCards', 'reorderCards', 'discard', 'undo', 'pass', 'acceptGift', 'challenge'
+]);
+
+// [penalties, cards] with face-down cards marked by a leading '~'
+function compactPlayer(player) {
+    return [player.penalties, player.cards.map(c => c && (c.isFlipped ? '~' : '') + c.id)];
+}
+
+function compactDiscard(entry) {
+    const discard = { cardId: entry.card.id, playerId: entry.playerId, reason: entry.reason };
+    if (entry.claim) discard.claim = entry.claim;
+    return discard;
+}
+
+export function createReplay(gameState, roomId) {
+    const seats = Object.fromEntries(gameState.players.map(p => [p.id, compactPlayer(p)]));
+    const replay = {
+        format: REPLAY_FORMAT,
+        roomId,
+        startedAt: Date.now(),
+        endedAt: null,
+        truncated: false,
+        settings: { ...gameState.settings, rulesMode: gameState.rulesMode },
+        seed: gameState.seed, // Deals the same deck again
+        players: gameState.players.map(p => ({ id: p.id, name: p.name })),
+        deck: gameState.deck.map(c => c.id), // Bottom to top; draws come off the end
+        events: [{ at: 0, type: 'start', playerId: null, players: seats, deckCount: gameState.deck.length, discardCount: 0 }],
+        lastSeats: seats // What the previous entry left behind, for diffing
+    };
+    replay.size = byteLength(replay); // Roughly the stored size, kept up as events are added
+    return replay;
+}
+
+// Log an action that changed the table. Returns false if nothing was recorded.
+// Recording stops at game over. Until the result is final (and the replay
+// handed out), an undo that takes the losing move back picks it up again.
+export function recordReplayEvent(replay, gameState, playerId, message) {
+    if (!RECORDED_ACTIONS.has(message.type)) return false;
+    if ((replay.endedAt && message.type !== 'undo') || replay.truncated) return false;
+
+    const { type, ...details } = message;
+    const event = { at: Date.now() - replay.startedAt, type, playerId };
+    if (Object.keys(details).length > 0) event.details = details;
+
+    event.players = {};
+    for (const player of gameState.players) {
+        const seat = compactPlayer(player);
+        if (JSON.stringify(seat) !== JSON.stringify(replay.lastSeats[player.id])) {
+            event.players[player.id] = seat;
+            replay.lastSeats[player.id] = seat;
+        }
+    }
+    event.deckCount = gameState.deck.length;
+
+    // Penalty cards added by this action (an undo can also take the last one back)
+    const history = gameState.discardHistory;
+    const previousCount = replay.events[replay.events.length - 1].discardCount;
+    event.discardCount = history.length;
+    if (history.length > previousCount) {
+        event.discarded = history.slice(previousCount).map(compactDiscard);
+    }
+
+    // Measured whole, as an event can carry a long claim
+    const size = (replay.size ?? byteLength(replay)) + byteLength(event) + 1;
+    if (size > MAX_REPLAY_BYTES) {
+        replay.truncated = true;
+        return false;
+    }
+
+    replay.events.push(event);
+    replay.size = size;
+    replay.endedAt = isGameOver(gameState.players, gameState.settings) ? Date.now() : null;
+    return true;
+}
+
+// The replay as handed to players - without the recorder's bookkeeping
+export function exportReplay(replay) {
+    const { lastSeats, size, ...exported } = replay;
+    return exported;
+}
+
+export function isReplayAvailable(replay, gameState) {
+    return !!replay && isResultFinal(gameState);
+}
@@ -0,0 +1,202 @@
+// Rules Mode for That's Not a Hat - server-authoritative turns, gifts and challenges
+// Runs alongside the sandbox handlers; only used when gameState.rulesMode is on.
+//
+// Turn flow:
+//   draw    - the turn player draws a card from the deck and shows it: it stays
+//             face up until they have passed, every other card goes face down
+//   pass    - the turn player gives their oldest card to the neighbour its back
+//             colour points at, announcing what it is (the claim)
+//   respond - the receiver accepts (and must pass it on in turn) or challenges
+// A challenge reveals the card; whoever was wrong takes it as a penalty and
+// starts the next turn by drawing. Once the deck is empty, a turn that would
+// go to someone with no cards left goes on to the next seat that has one.
+import { resolveChallenge, normalizeCards } from './challenge.js';
+import { sanitizeClaim, getCardInfo } from '../shared/catalogue.js';
+
+// Black backs travel to the left (next seat), white backs to the right (previous seat).
+// Without back colours every card travels left.
+export function getPassDirection(card, settings) {
+    if (!settings.backColors) return 'left';
+    return getCardInfo(card.id).backColor === 'black' ? 'left' : 'right';
+}
+
+// Neighbour of a player in the given direction around the table
+export function getNeighbour(players, playerId, direction) {
+    const index = players.findIndex(p => p.id === playerId);
+    if (index === -1) return null;
+    const step = direction === 'left' ? 1 : -1;
+    return players[(index + step + players.length) % players.length];
+}
+
+// Give the turn to a player, or to the first seat on their left who can play:
+// one who can draw, or has a card to pass once the deck is empty. Nobody gets
+// it when no one can play - the host restarts from there.
+function startTurn(gameState, playerId) {
+    const rules = gameState.rules;
+    const players = gameState.players;
+    const start = players.findIndex(p => p.id === playerId);
+    const canPlay = player => gameState.deck.length > 0 || player.cards.some(c => c !== null);
+
+    rules.phase = 'draw';
+    rules.turnPlayerId = null;
+    rules.passSlot = null;
+    rules.pendingGift = null;
+    if (start === -1) return;
+
+    for (let i = 0; i < players.length; i++) {
+        const player = players[(start + i) % players.length];
+        if (canPlay(player)) {
+            rules.turnPlayerId = player.id;
+            return;
+        }
+    }
+}
+
+// Cards are shown once, when dealt or drawn, and then have to be remembered
+function turnTableFaceDown(gameState) {
+    for (const player of gameState.players) {
+        for (const card of player.cards) {
+            if (card) card.isFlipped = true;
+        }
+    }
+}
+
+// Deal every player one face-up card and give the first turn to the first seat
+export function startRulesGame(gameState) {
+    gameState.players.forEach(p => {
+        const card = gameState.deck.pop();
+        card.isFlipped = false;
+        p.cards[0] = card;
+    });
+
+    gameState.rules = {
+        phase: 'draw',
+        turnPlayerId: gameState.players[0].id,
+        passSlot: null,
+        pendingGift: null
+    };
+}
+
+// Turn player draws the top card into their first empty slot
+export function rulesDraw(gameState, player) {
+    const rules = gameState.rules;
+    if (rules.turnPlayerId !== player.id) return { error: 'notYourTurn' };
+    if (rules.phase !== 'draw') return { error: 'alreadyDrew' };
+    if (gameState.deck.length === 0) return { error: 'deckEmpty' };
+
+    const slotIndex = player.cards.findIndex(c => c === null);
+    if (slotIndex === -1) return { error: 'noEmptySlot' };
+
+    turnTableFaceDown(gameState);
+    const card = gameState.deck.pop();
+    card.isFlipped = false;
+    player.cards[slotIndex] = card;
+
+    // The oldest card (bottom slot) is the one that has to go
+    rules.phase = 'pass';
+    rules.passSlot = 0;
+
+    return { card, slotIndex };
+}
+
+// Turn player gives a card to the neighbour shown by its back, with a claim
+export function rulesPass(gameState, player, data) {
+    const rules = gameState.rules;
+    if (rules.turnPlayerId !== player.id) return { error: 'notYourTurn' };
+
+    // With an empty deck the turn player passes without drawing first
+    const canSkipDraw = rules.phase === 'draw' && gameState.deck.length === 0;
+    if (rules.phase !== 'pass' && !canSkipDraw) return { error: 'drawFirst' };
+
+    const passSlot = rules.phase === 'pass' ? rules.passSlot : 0;
+    if (data.slotIndex !== passSlot) {
+        return { error: passSlot === 0 ? 'passOldest' : 'passAccepted' };
+    }
+
+    const card = player.cards[passSlot];
+    if (!card) return { error: 'noCardToPass' };
+
+    const claim = sanitizeClaim(data.claim);
+    if (!claim) return { error: 'claimRequired' };
+
+    const direction = getPassDirection(card, gameState.settings);
+    const receiver = getNeighbour(gameState.players, player.id, direction);
+    if (!receiver || receiver.id !== data.toPlayerId) {
+        return { error: 'wrongDirection', params: { direction } };
+    }
+
+    const toSlot = receiver.cards.findIndex(c => c === null);
+    if (toSlot === -1) return { error: 'noEmptySlot' };
+
+    // Gifts always travel face down
+    player.cards[passSlot] = null;
+    card.isFlipped = true;
+    card.gift = { fromPlayerId: player.id, claim };
+    receiver.cards[toSlot] = card;
+    normalizeCards(player);
+    turnTableFaceDown(gameState);
+
+    rules.phase = 'respond';
+    rules.passSlot = null;
+    rules.pendingGift = {
+        fromPlayerId: player.id,
+        toPlayerId: receiver.id,
+        slotIndex: toSlot,
+        claim
+    };
+
+    return { gift: rules.pendingGift, direction, fromSlot: passSlot };
+}
+
+// Receiver believes the claim and now has to pass the card on themselves
+export function rulesAccept(gameState, player) {
+    const rules = gameState.rules;
+    const gift = rules.pendingGift;
+    if (rules.phase !== 'respond' || !gift || gift.toPlayerId !== player.id) {
+        return { error: 'noGiftToAccept' };
+    }
+
+    // Accepted - the card can no longer be challenged
+    delete player.cards[gift.slotIndex].gift;
+
+    rules.phase = 'pass';
+    rules.turnPlayerId = player.id;
+    rules.passSlot = gift.slotIndex;
+    rules.pendingGift = null;
+
+    return { gift };
+}
+
+// Receiver calls "That's not a hat!" on the pending gift
+export function rulesChallenge(gameState, player, slotIndex) {
+    const rules = gameState.rules;
+    const gift = rules.pendingGift;
+    if (rules.phase !== 'respond' || !gift || gift.toPlayerId !== player.id) {
+        return { error: 'noGiftToChallenge' };
+    }
+    if (slotIndex !== gift.slotIndex) return { error: 'notTheGift' };
+
+    const result = resolveChallenge(gameState, player, slotIndex);
+    if (result.error) return result;
+
+    // The loser starts the next turn - the challenger, if the bluffer has gone
+    startTurn(gameState, (result.loser || player).id);
+
+    return result;
+}
+
+// A seat was removed mid-game - hand the turn on if that player was involved
+export function rulesPlayerLeft(gameState, playerId) {
+    const rules = gameState.rules;
+    if (!rules) return;
+
+    const gift = rules.pendingGift;
+    const involved = rules.turnPlayerId === playerId ||
+        (gift && (gift.fromPlayerId === playerId || gift.toPlayerId === playerId));
+    if (!involved) return;
+
+    // Decided without the leaving seat, which is still in the list
+    const others = gameState.players.filter(p => p.id !== playerId);
+    const next = getNeighbour(gameState.players, playerId, 'left');
+    startTurn({ ...gameState, players: others }, next ? next.id : null);
+}
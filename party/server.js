@@ -1,186 +1,640 @@
 // PartyKit Server for That's Not a Hat - Interactive Sandbox Mode
-// No automatic logic - players interact freely like in real life
+// No automatic logic - players interact freely like in real life.
+// The optional Rules Mode (./rules.js) enforces turns, gifts and challenges.
+import {
+    startRulesGame,
+    rulesDraw,
+    rulesPass,
+    rulesAccept,
+    rulesChallenge,
+    rulesPlayerLeft
+} from './rules.js';
+import { resolveChallenge, moveSlot, DISCARD_REASONS } from './challenge.js';
+import { projectState, projectCard, isResultFinal } from './view.js';
+import { authorize } from './permissions.js';
+import { ActionJournal, undoAction } from './journal.js';
+import { createReplay, recordReplayEvent, exportReplay, isReplayAvailable } from './replay.js';
+import { RateLimiter, cleanChatText, addChatMessage } from './chat.js';
+import { BOT_NAMES, createBotMind, observeTable, chooseBotMove, whoseMove } from './bots.js';
+import { parseClientMessage, UNDO_WINDOW_MS } from '../shared/protocol.js';
+import { sanitizeClaim, createDeckCards } from '../shared/catalogue.js';
+import { createMatch, finishRound, isRoundOver, isMatchOver } from '../shared/match.js';
+import { DEFAULT_SETTINGS, applySettings, buildDeck } from '../shared/settings.js';
+import { randomSeed, hashSeed, createRandom, shuffle } from '../shared/random.js';
 
-// Inline shuffle function (Fisher-Yates)
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+// Storage keys for the persisted game state and player sessions
+const STATE_KEY = 'gameState';
+const SESSIONS_KEY = 'sessions';
+const REPLAY_KEY = 'replay'; // Kept apart from the state - it grows with every action
+const CHAT_KEY = 'chat';
+
+// How long a disconnected player keeps their seat, cards and penalties
+const RECONNECT_GRACE_MS = 60000;
+
+const MAX_PLAYERS = 8;
+
+// Bots wait a moment before each move so people can follow the play
+const BOT_MOVE_DELAY_MS = 1200;
+
+function createInitialState() {
+    return {
+        players: [],
+        deck: [],
+        discardHistory: [], // Track all discarded cards
+        gameStarted: false,
+        hostId: null,
+        settings: { ...DEFAULT_SETTINGS }, // House rules, set by the host in the lobby
+        rulesMode: false, // Rules mode: server enforces turns and challenges
+        rules: null, // Turn state while a rules-mode game is running
+        match: null, // Rounds and scores when the host set up a match (shared/match.js)
+        seed: null, // Seed of the current deal - only revealed once the game is over
+        fixedSeed: null, // Seed the host chose for every deal, or null for a fresh one each time
+        bots: {}, // Bot player id -> mind (party/bots.js); never sent to clients
+        resultConfirmed: false, // The host accepted a free-play game over (party/view.js isResultFinal)
+        seatCount: 0, // Seats handed out so far, for the next seat id
+        version: 0 // Bumped on every change and sent with every event
+    };
 }
 
 export default class GameServer {
     constructor(room) {
         this.room = room;
-        this.gameState = {
-            players: [],
-            deck: [],
-            discardHistory: [], // Track all discarded cards
-            gameStarted: false,
-            hostId: null,
-            hardMode: false, // Hard mode: 3 slots instead of 2
-            slotCount: 2 // Default 2 slots
-        };
+        this.gameState = createInitialState();
+        this.sessions = {}; // Player token -> player id (never broadcast)
+        this.connections = new Map(); // Connection id -> player id
+        this.removalTimers = new Map(); // Player id -> pending seat removal
+        this.spectators = new Map(); // Connection id -> { connection, name, token, wantsSeat }
+        this.journal = new ActionJournal(); // Sandbox actions that can be taken back
+        this.replay = null; // Event log of the current game
+        this.botTimer = null; // The next bot move
+        this.chat = []; // Recent chat messages, for whoever connects next
+        this.rateLimiter = new RateLimiter();
+    }
+
+    // Restore the game from room storage after a restart or hibernation
+    async onStart() {
+        const stored = await this.room.storage.get([STATE_KEY, SESSIONS_KEY, REPLAY_KEY, CHAT_KEY]);
+        if (stored.has(STATE_KEY)) {
+            const { hardMode, slotCount, ...saved } = stored.get(STATE_KEY);
+            this.gameState = { ...this.gameState, ...saved };
+            // Rooms saved before house rules only had a slot count
+            if (!saved.settings && slotCount) {
+                this.gameState.settings = { ...DEFAULT_SETTINGS, slotCount };
+            }
+        }
+        if (stored.has(SESSIONS_KEY)) {
+            this.sessions = stored.get(SESSIONS_KEY);
+        }
+        if (stored.has(REPLAY_KEY)) {
+            this.replay = stored.get(REPLAY_KEY);
+        }
+        if (stored.has(CHAT_KEY)) {
+            this.chat = stored.get(CHAT_KEY);
+        }
+
+        // Nobody is connected yet - hold every seat until its owner reconnects.
+        // Bots never leave and need no connection.
+        this.gameState.players.forEach(p => {
+            if (p.isBot) return;
+            p.connected = false;
+            this.scheduleRemoval(p.id);
+        });
+        this.updateBots();
     }
 
     onConnect(connection, ctx) {
+        // Not seated yet - the 'joined' reply follows once they claim a seat
+        this.sendSnapshot(connection);
+        connection.send(JSON.stringify({ type: 'chatHistory', messages: this.chat }));
+    }
+
+    // Everything a client needs to rebuild the table, at the current version
+    sendSnapshot(connection) {
+        const viewerId = this.connections.get(connection.id) || null;
         connection.send(JSON.stringify({
             type: 'state',
-            state: this.gameState
+            state: { ...projectState(this.gameState, viewerId), spectatorCount: this.spectators.size }
         }));
     }
 
     onMessage(message, sender) {
         try {
-            const data = JSON.parse(message);
-
-            switch (data.type) {
-                case 'join':
-                    this.handleJoin(data, sender);
-                    break;
-                case 'leave':
-                    this.handleLeave(sender);
-                    break;
-                case 'start':
-                    this.handleStart(sender);
-                    break;
-                case 'draw':
-                    this.handleDraw(data, sender);
-                    break;
-                case 'flip':
-                    this.handleFlip(data, sender);
-                    break;
-                case 'moveCard':
-                    this.handleMoveCard(data, sender);
-                    break;
-                case 'swapCards':
-                    this.handleSwapCards(data, sender);
-                    break;
-                case 'discard':
-                    this.handleDiscard(data, sender);
-                    break;
-                case 'reset':
-                    this.handleReset(sender);
-                    break;
-                case 'ping':
-                    // Heartbeat - respond with pong to keep connection alive
-                    sender.send(JSON.stringify({ type: 'pong' }));
-                    break;
-                case 'toggleHardMode':
-                    this.handleToggleHardMode(data, sender);
-                    break;
+            // Shape and size are checked against shared/protocol.js first
+            const { message: data, error } = parseClientMessage(message);
+            if (error) {
+                this.sendError(sender, error.code, error.params);
+                return;
             }
+
+            this.dispatch(data, sender, this.getPlayerForConnection(sender));
         } catch (e) {
-            console.error('Message parse error:', e);
+            console.error('Message handling error:', e);
         }
     }
 
+    // Run a message for whoever is acting: the seat bound to a connection, or
+    // a bot, which has no connection (see playBot)
+    dispatch(data, sender, actor) {
+        // Central permission check - handlers can trust who is acting
+        const denial = authorize(this.gameState, actor, data);
+        if (denial) {
+            this.sendError(sender, denial.code);
+            return;
+        }
+
+        const versionBefore = this.gameState.version;
+        const journalBefore = this.journal.revision;
+
+        switch (data.type) {
+            case 'join':
+                this.handleJoin(data, sender);
+                break;
+            case 'spectate':
+                this.handleSpectate(data, sender);
+                break;
+            case 'leave':
+                this.handleLeave(actor && actor.id);
+                break;
+            case 'start':
+                this.handleStart(sender);
+                break;
+            case 'draw':
+                this.handleDraw(data, sender, actor);
+                break;
+            case 'flip':
+                this.handleFlip(data, sender, actor);
+                break;
+            case 'moveCard':
+                this.handleMoveCard(data, sender, actor);
+                break;
+            case 'swapCards':
+                this.handleSwapCards(data, sender, actor);
+                break;
+            case 'reorderCards':
+                this.handleReorderCards(data, sender, actor);
+                break;
+            case 'discard':
+                this.handleDiscard(data, sender, actor);
+                break;
+            case 'reset':
+                this.handleReset(sender);
+                break;
+            case 'sync':
+                // Client noticed a missed event and wants a fresh snapshot
+                this.sendSnapshot(sender);
+                break;
+            case 'ping':
+                // Heartbeat - respond with pong to keep connection alive
+                sender.send(JSON.stringify({ type: 'pong' }));
+                break;
+            case 'updateSettings':
+                this.handleUpdateSettings(data, sender);
+                break;
+            case 'toggleRulesMode':
+                this.handleToggleRulesMode(data, sender);
+                break;
+            case 'setMatch':
+                this.handleSetMatch(data, sender);
+                break;
+            case 'setSeed':
+                this.handleSetSeed(data);
+                break;
+            case 'addBot':
+                this.handleAddBot(data, sender);
+                break;
+            case 'removeBot':
+                this.handleRemoveBot(data);
+                break;
+            case 'pass':
+                this.handlePass(data, sender, actor);
+                break;
+            case 'acceptGift':
+                this.handleAcceptGift(sender, actor);
+                break;
+            case 'challenge':
+                this.handleChallenge(data, sender, actor);
+                break;
+            case 'undo':
+                this.handleUndo(sender, actor);
+                break;
+            case 'getReplay':
+                this.handleGetReplay(sender);
+                break;
+            case 'confirmResult':
+                this.handleConfirmResult();
+                break;
+            case 'chat':
+                this.handleChat(data, sender, actor);
+                break;
+            case 'react':
+                this.handleReact(data, sender, actor);
+                break;
+        }
+
+        // Anything that changed the table goes into the replay
+        if (this.replay && actor && this.gameState.version !== versionBefore) {
+            if (recordReplayEvent(this.replay, this.gameState, actor.id, data)) {
+                this.saveReplay();
+            }
+        }
+
+        // A change the journal did not record ends what can be undone -
+        // apart from a seat reconnecting, which leaves the table as it was
+        const reconnect = data.type === 'join' || data.type === 'spectate';
+        if (this.gameState.version !== versionBefore && this.journal.revision === journalBefore && !reconnect) {
+            this.journal.clear();
+        }
+
+        if (this.gameState.version !== versionBefore) this.updateBots();
+    }
+
     onClose(connection) {
-        this.handleLeave(connection);
+        if (this.spectators.delete(connection.id)) {
+            this.broadcastSpectators();
+            return;
+        }
+
+        const playerId = this.connections.get(connection.id);
+        this.connections.delete(connection.id);
+        if (!playerId) return;
+
+        // Another tab may still be bound to the same seat
+        const stillConnected = [...this.connections.values()].includes(playerId);
+        const player = this.getPlayer(playerId);
+        if (!player || stillConnected) return;
+
+        player.connected = false;
+        this.scheduleRemoval(playerId);
+
+        this.saveState();
+
+        this.broadcastView(view => ({
+            type: 'playerDisconnected',
+            playerId,
+            players: view.players,
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    getPlayer(playerId) {
+        return this.gameState.players.find(p => p.id === playerId);
+    }
+
+    // Player bound to a connection (set when the connection joins)
+    getPlayerForConnection(connection) {
+        return this.getPlayer(this.connections.get(connection.id));
+    }
+
+    // Remove a disconnected player's seat once the grace period runs out
+    scheduleRemoval(playerId) {
+        this.cancelRemoval(playerId);
+        this.removalTimers.set(playerId, setTimeout(() => {
+            this.removalTimers.delete(playerId);
+            this.handleLeave(playerId);
+        }, RECONNECT_GRACE_MS));
+    }
+
+    cancelRemoval(playerId) {
+        clearTimeout(this.removalTimers.get(playerId));
+        this.removalTimers.delete(playerId);
     }
 
     handleJoin(data, sender) {
-        if (this.gameState.gameStarted) {
-            sender.send(JSON.stringify({ type: 'error', message: 'Game already started' }));
+        // Old clients without a token fall back to their connection id
+        const token = typeof data.token === 'string' && data.token ? data.token : sender.id;
+        const existingPlayer = this.getPlayer(this.sessions[token]);
+
+        // A known token reclaims its seat, even in a game in progress
+        if (this.gameState.gameStarted && !existingPlayer) {
+            this.sendError(sender, 'gameInProgress');
             return;
         }
 
-        if (this.gameState.players.length >= 8) {
-            sender.send(JSON.stringify({ type: 'error', message: 'Room is full' }));
+        if (!existingPlayer && this.gameState.players.length >= MAX_PLAYERS) {
+            this.sendError(sender, 'roomFull');
             return;
         }
 
-        const existingPlayer = this.gameState.players.find(p => p.id === sender.id);
-        if (!existingPlayer) {
-            // Create slots array based on current slot count
-            const slots = new Array(this.gameState.slotCount).fill(null);
-            const player = {
-                id: sender.id,
-                name: data.name,
-                cards: slots,
-                penalties: 0
-            };
-            this.gameState.players.push(player);
+        let player = existingPlayer;
+        if (player) {
+            this.cancelRemoval(player.id);
+            player.connected = true;
+            this.connections.set(sender.id, player.id);
+        } else {
+            player = this.seatPlayer(sender, data.name, token);
         }
 
-        if (this.gameState.players.length === 1) {
-            this.gameState.hostId = sender.id;
-        }
+        this.saveState();
 
-        this.broadcast({
+        // A spectator in the lobby who asked for a seat got one
+        if (this.spectators.delete(sender.id)) this.broadcastSpectators();
+
+        // Tell the client which seat it owns (may differ from its connection id)
+        sender.send(JSON.stringify({ type: 'joined', playerId: player.id }));
+
+        this.broadcastView(view => ({
             type: 'playerJoined',
-            player: this.gameState.players.find(p => p.id === sender.id),
+            player: view.players.find(p => p.id === player.id),
             hostId: this.gameState.hostId,
-            players: this.gameState.players
+            players: view.players,
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    // A new seat at the table for this connection. Seat ids come from the
+    // server: clients pick their own connection ids, and seat ids are public.
+    seatPlayer(connection, name, token) {
+        this.gameState.seatCount = (this.gameState.seatCount || 0) + 1;
+
+        // Create slots array based on current slot count
+        const slots = new Array(this.gameState.settings.slotCount).fill(null);
+        const player = {
+            id: `p${this.gameState.seatCount}`,
+            name: name.trim(),
+            cards: slots,
+            penalties: 0,
+            connected: true
+        };
+        this.gameState.players.push(player);
+        this.sessions[token] = player.id;
+        this.connections.set(connection.id, player.id);
+
+        if (this.gameState.players.length === 1) {
+            this.gameState.hostId = player.id;
+        }
+        return player;
+    }
+
+    // Watch the table without a seat - spectators see what anyone not seated
+    // sees. With wantsSeat they join in the lobby, or when the game is reset.
+    handleSpectate(data, sender) {
+        // A token that still holds a seat takes it back, as a join would
+        if (data.token && this.getPlayer(this.sessions[data.token])) {
+            this.handleJoin(data, sender);
+            return;
+        }
+
+        if (data.wantsSeat && !data.name) {
+            this.sendError(sender, 'nameRequired');
+            return;
+        }
+
+        if (data.wantsSeat && !this.gameState.gameStarted && this.gameState.players.length < MAX_PLAYERS) {
+            this.handleJoin(data, sender);
+            return;
+        }
+
+        this.spectators.set(sender.id, {
+            connection: sender,
+            name: data.name || null,
+            token: data.token || sender.id,
+            wantsSeat: data.wantsSeat
         });
+
+        sender.send(JSON.stringify({ type: 'spectating', wantsSeat: data.wantsSeat }));
+        this.broadcastSpectators();
+    }
+
+    // Spectators waiting for a seat join, in the order they asked, as the next game is dealt
+    seatSpectators() {
+        for (const [connectionId, spectator] of this.spectators) {
+            if (this.gameState.players.length >= MAX_PLAYERS) break;
+            if (!spectator.wantsSeat) continue;
+
+            const player = this.seatPlayer(spectator.connection, spectator.name, spectator.token);
+            this.spectators.delete(connectionId);
+            spectator.connection.send(JSON.stringify({ type: 'joined', playerId: player.id }));
+        }
     }
 
-    handleLeave(sender) {
-        const index = this.gameState.players.findIndex(p => p.id === sender.id);
+    handleLeave(playerId) {
+        const index = this.gameState.players.findIndex(p => p.id === playerId);
         if (index !== -1) {
+            if (this.gameState.rulesMode && this.gameState.gameStarted) {
+                rulesPlayerLeft(this.gameState, playerId);
+            }
             this.gameState.players.splice(index, 1);
+            this.journal.clear(); // Their cards leave with them
+            this.cancelRemoval(playerId);
+            this.rateLimiter.forget(playerId);
+            for (const token of Object.keys(this.sessions)) {
+                if (this.sessions[token] === playerId) delete this.sessions[token];
+            }
+
+            // Prefer a connected player as the new host - never a bot
+            const people = this.gameState.players.filter(p => !p.isBot);
+            if (this.gameState.hostId === playerId && people.length > 0) {
+                const nextHost = people.find(p => p.connected) || people[0];
+                this.gameState.hostId = nextHost.id;
+            }
 
-            if (this.gameState.hostId === sender.id && this.gameState.players.length > 0) {
-                this.gameState.hostId = this.gameState.players[0].id;
+            // No people left - start fresh so the code can be reused, but keep
+            // counting versions so no client mistakes new events for old ones
+            if (people.length === 0) {
+                this.gameState = { ...createInitialState(), version: this.gameState.version };
+                this.sessions = {};
+                this.replay = null;
+                this.saveReplay();
+                this.chat = [];
+                this.saveChat();
             }
 
-            this.broadcast({
+            this.saveState();
+
+            this.broadcastView(view => ({
                 type: 'playerLeft',
-                playerId: sender.id,
+                playerId,
                 hostId: this.gameState.hostId,
-                players: this.gameState.players
-            });
+                players: view.players
+            }));
+            this.updateBots();
+        }
+    }
+
+    // Chat from a seated player, to everyone in the room
+    handleChat(data, sender, player) {
+        if (!this.rateLimiter.allow('chat', player.id)) {
+            this.sendError(sender, 'rateLimited');
+            return;
+        }
+
+        const text = cleanChatText(data.text);
+        if (!text) return;
+
+        const message = addChatMessage(this.chat, player, text);
+        this.saveChat();
+        this.room.broadcast(JSON.stringify({ type: 'chat', message }));
+    }
+
+    // A quick reaction over the sender's seat; nothing is kept
+    handleReact(data, sender, player) {
+        if (!this.rateLimiter.allow('react', player.id)) {
+            this.sendError(sender, 'rateLimited');
+            return;
+        }
+
+        this.room.broadcast(JSON.stringify({ type: 'reaction', playerId: player.id, reaction: data.reaction }));
+    }
+
+    // Deal every game from the host's seed (host only, before game starts), so
+    // rooms using the same seed get the same deal. Empty goes back to random.
+    // Nobody else learns the seed until a game is over.
+    handleSetSeed(data) {
+        this.gameState.fixedSeed = (data.seed || '').trim() || null;
+
+        this.saveState();
+
+        this.broadcast({
+            type: 'seedChanged',
+            hasFixedSeed: this.gameState.fixedSeed !== null
+        });
+    }
+
+    // Seat a bot (host only, in the lobby)
+    handleAddBot(data, sender) {
+        const players = this.gameState.players;
+        if (players.length >= MAX_PLAYERS) {
+            this.sendError(sender, 'roomFull');
+            return;
+        }
+
+        let number = 1;
+        while (this.getPlayer(`bot-${number}`)) number++;
+        const names = new Set(players.map(p => p.name));
+        const bot = {
+            id: `bot-${number}`,
+            name: BOT_NAMES.find(n => !names.has(n)) || `Bot ${number}`,
+            cards: new Array(this.gameState.settings.slotCount).fill(null),
+            penalties: 0,
+            connected: true,
+            isBot: true
+        };
+        players.push(bot);
+        this.gameState.bots[bot.id] = createBotMind(data.level, data.seed ?? randomSeed());
+
+        this.saveState();
+
+        this.broadcastView(view => ({
+            type: 'playerJoined',
+            player: view.players.find(p => p.id === bot.id),
+            hostId: this.gameState.hostId,
+            players: view.players
+        }));
+    }
+
+    handleRemoveBot(data) {
+        delete this.gameState.bots[data.playerId];
+        this.handleLeave(data.playerId);
+    }
+
+    // After every change each bot takes in the table, and a bot whose move it
+    // is gets a timer. There is at most one bot move waiting at a time.
+    updateBots() {
+        for (const mind of Object.values(this.gameState.bots)) {
+            observeTable(mind, this.gameState);
+        }
+
+        clearTimeout(this.botTimer);
+        this.botTimer = null;
+
+        const botId = whoseMove(this.gameState);
+        if (!this.gameState.bots[botId]) return;
+        this.botTimer = setTimeout(() => {
+            this.botTimer = null;
+            this.playBot(botId);
+        }, BOT_MOVE_DELAY_MS);
+    }
+
+    // Bots start every game with a clear head
+    clearBotMemories() {
+        Object.values(this.gameState.bots).forEach(mind => { mind.memory = {}; });
+    }
+
+    // Bot moves go through the same checks and handlers as a client's, with
+    // the bot as the actor - bots have no connection, so nobody can speak for
+    // one. Anything sent back to a bot is dropped.
+    playBot(botId) {
+        const bot = this.getPlayer(botId);
+        const mind = this.gameState.bots[botId];
+        if (!bot || !mind) return;
+
+        // A bot that trips up skips its move rather than taking the server down
+        try {
+            const move = chooseBotMove(this.gameState, bot, mind);
+            if (move) this.dispatch(move, { id: null, send: () => {} }, bot);
+        } catch (e) {
+            console.error('Bot move error:', e);
         }
     }
 
     handleStart(sender) {
-        if (sender.id !== this.gameState.hostId) return;
         if (this.gameState.players.length < 2) {
-            sender.send(JSON.stringify({ type: 'error', message: 'Need at least 2 players' }));
+            this.sendError(sender, 'notEnoughPlayers');
+            return;
+        }
+
+        // Rules mode needs room for the dealt card plus a drawn one
+        if (this.gameState.rulesMode && this.gameState.settings.slotCount < 2) {
+            this.sendError(sender, 'invalidSettings', { reason: 'rulesModeSlots' });
+            return;
+        }
+
+        // Bots follow the rules; free play has nothing for them to do
+        if (!this.gameState.rulesMode && this.gameState.players.some(p => p.isBot)) {
+            this.sendError(sender, 'botsNeedRules');
             return;
         }
 
         // Initialize and shuffle deck
-        const cards = this.generateCards();
-        this.gameState.deck = shuffleArray(cards);
+        this.gameState.deck = this.createDeck();
         this.gameState.gameStarted = true;
+        this.journal.clear();
+        this.clearBotMemories();
 
-        this.broadcast({
+        if (this.gameState.rulesMode) {
+            startRulesGame(this.gameState);
+        }
+
+        this.saveState();
+        this.replay = createReplay(this.gameState, this.room.id);
+        this.saveReplay();
+
+        this.broadcastView(view => ({
             type: 'gameStarted',
-            deck: this.gameState.deck,
-            players: this.gameState.players,
-            hardMode: this.gameState.hardMode,
-            slotCount: this.gameState.slotCount
-        });
+            deckCount: view.deckCount,
+            topCard: view.topCard,
+            players: view.players,
+            settings: this.gameState.settings,
+            rulesMode: this.gameState.rulesMode,
+            rules: this.gameState.rules,
+            match: this.gameState.match
+        }));
     }
 
-    generateCards() {
-        const cards = [];
-        for (let i = 1; i <= 110; i++) {
-            const cardNum = String(i).padStart(3, '0');
-            cards.push({
-                id: `card_${cardNum}`,
-                front: `/cards/items/card_${cardNum}.png`,
-                back: i <= 55 ? `/cards/backs/back_black.png` : `/cards/backs/back_white.png`,
-                isFlipped: false
-            });
-        }
-        return cards;
+    // A shuffled deck cut to the room's size and back colours. The shuffle is
+    // seeded, so a deal can be played again from its seed.
+    createDeck() {
+        this.gameState.seed = this.gameState.fixedSeed ?? String(randomSeed());
+        this.gameState.resultConfirmed = false;
+        const random = createRandom(hashSeed(this.gameState.seed));
+        return buildDeck(shuffle(createDeckCards(), random), this.gameState.settings);
     }
 
     // Anyone can draw from deck
-    handleDraw(data, sender) {
+    handleDraw(data, sender, player) {
         if (this.gameState.deck.length === 0) return;
 
-        const player = this.gameState.players.find(p => p.id === sender.id);
         if (!player) return;
 
+        if (this.gameState.rulesMode) {
+            this.handleRulesDraw(player, sender);
+            return;
+        }
+
         // Find first empty slot
         const emptySlotIndex = player.cards.findIndex(c => c === null);
         if (emptySlotIndex === -1) {
-            sender.send(JSON.stringify({ type: 'error', message: 'No empty slot!' }));
+            this.sendError(sender, 'noEmptySlot');
             return;
         }
 
@@ -190,59 +644,202 @@ export default class GameServer {
         // Put card in the first empty slot (they stack from bottom up)
         player.cards[emptySlotIndex] = card;
 
-        this.broadcast({
+        this.saveState();
+        this.recordAction({ action: 'draw', playerId: player.id, slotIndex: emptySlotIndex });
+
+        this.broadcastView(view => ({
             type: 'cardDrawn',
-            playerId: sender.id,
+            playerId: player.id,
             slotIndex: emptySlotIndex,
-            card: card,
-            deckCount: this.gameState.deck.length,
-            topCard: this.gameState.deck.length > 0 ? this.gameState.deck[this.gameState.deck.length - 1] : null,
-            players: this.gameState.players // Send full player state for sync
+            card: projectCard(card, player.id, emptySlotIndex),
+            deckCount: view.deckCount,
+            topCard: view.topCard,
+            players: view.players, // Send full player state for sync
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    // Rules mode: only the turn player draws, once per turn
+    handleRulesDraw(player, sender) {
+        const result = rulesDraw(this.gameState, player);
+        if (result.error) {
+            this.sendError(sender, result.error, result.params);
+            return;
+        }
+
+        this.saveState();
+
+        this.broadcastView(view => ({
+            type: 'cardDrawn',
+            playerId: player.id,
+            slotIndex: result.slotIndex,
+            card: projectCard(result.card, player.id, result.slotIndex),
+            deckCount: view.deckCount,
+            topCard: view.topCard,
+            players: view.players,
+            rules: this.gameState.rules
+        }));
+    }
+
+    // Rules mode: turn player gives a card to a neighbour with a claim
+    handlePass(data, sender, player) {
+        if (!this.gameState.rulesMode || !this.gameState.gameStarted) return;
+
+        if (!player) return;
+
+        const result = rulesPass(this.gameState, player, data);
+        if (result.error) {
+            this.sendError(sender, result.error, result.params);
+            return;
+        }
+
+        this.saveState();
+
+        this.broadcastView(view => ({
+            type: 'giftPassed',
+            fromPlayerId: result.gift.fromPlayerId,
+            fromSlot: result.fromSlot,
+            toPlayerId: result.gift.toPlayerId,
+            slotIndex: result.gift.slotIndex,
+            claim: result.gift.claim,
+            direction: result.direction,
+            players: view.players,
+            rules: this.gameState.rules
+        }));
+    }
+
+    // Rules mode: receiver accepts the gift and becomes the next giver
+    handleAcceptGift(sender, player) {
+        if (!this.gameState.rulesMode || !this.gameState.gameStarted) return;
+
+        if (!player) return;
+
+        const result = rulesAccept(this.gameState, player);
+        if (result.error) {
+            this.sendError(sender, result.error, result.params);
+            return;
+        }
+
+        this.saveState();
+
+        this.broadcast({
+            type: 'giftAccepted',
+            playerId: player.id,
+            fromPlayerId: result.gift.fromPlayerId,
+            claim: result.gift.claim,
+            rules: this.gameState.rules
         });
     }
 
+    // "That's not a hat!" on a received card - server reveals it and penalises
+    // whoever was wrong. Rules mode also checks it is the pending gift.
+    handleChallenge(data, sender, player) {
+        if (!this.gameState.gameStarted) return;
+
+        if (!player) return;
+
+        const result = this.gameState.rulesMode
+            ? rulesChallenge(this.gameState, player, data.slotIndex)
+            : resolveChallenge(this.gameState, player, data.slotIndex);
+        if (result.error) {
+            this.sendError(sender, result.error, result.params);
+            return;
+        }
+
+        this.saveState();
+
+        // The challenged card is revealed to everyone
+        this.broadcastView(view => ({
+            type: 'challengeResolved',
+            challengerId: player.id,
+            slotIndex: data.slotIndex,
+            giverId: result.gift.fromPlayerId,
+            claim: result.gift.claim,
+            card: result.card,
+            truthful: result.truthful,
+            loserId: result.loser ? result.loser.id : null, // None when a bluffer has left
+            discardHistory: view.discardHistory,
+            players: view.players,
+            rules: this.gameState.rules,
+            gameOver: result.gameOver,
+            loserName: result.gameOver ? result.loser.name : null,
+            seed: view.seed
+        }));
+    }
+
     // Only card owner can flip their own cards
-    handleFlip(data, sender) {
-        const player = this.gameState.players.find(p => p.id === sender.id);
+    handleFlip(data, sender, player) {
         if (!player || !player.cards[data.slotIndex]) return;
 
-        player.cards[data.slotIndex].isFlipped = !player.cards[data.slotIndex].isFlipped;
+        // Rules mode: face-down cards stay hidden - you have to remember them
+        if (this.gameState.rulesMode && player.cards[data.slotIndex].isFlipped) return;
 
-        this.broadcast({
+        const card = player.cards[data.slotIndex];
+        const gift = card.gift;
+        card.isFlipped = !card.isFlipped;
+
+        // Once you have looked at a gift you can no longer challenge it
+        if (!card.isFlipped) {
+            delete card.gift;
+        }
+
+        this.saveState();
+        if (!this.gameState.rulesMode) {
+            this.recordAction({ action: 'flip', playerId: player.id, slotIndex: data.slotIndex, gift });
+        }
+
+        // Flipping up reveals the card; flipping down hides it behind a placeholder
+        this.broadcastView(() => ({
             type: 'cardFlipped',
-            playerId: sender.id,
+            playerId: player.id,
             slotIndex: data.slotIndex,
-            isFlipped: player.cards[data.slotIndex].isFlipped
-        });
+            isFlipped: card.isFlipped,
+            card: projectCard(card, player.id, data.slotIndex),
+            undo: this.getUndoInfo()
+        }));
     }
 
     // Move card between players or slots - FREE INTERACTION
-    handleMoveCard(data, sender) {
-        const fromPlayer = this.gameState.players.find(p => p.id === data.fromPlayerId);
-        const toPlayer = this.gameState.players.find(p => p.id === data.toPlayerId);
-
-        if (!fromPlayer || !toPlayer) return;
-        if (!fromPlayer.cards[data.fromSlot]) return;
-        if (toPlayer.cards[data.toSlot] !== null) return;
+    // permissions.js only lets you take a card for yourself or give away your own
+    handleMoveCard(data, sender, player) {
+        const fromPlayer = this.getPlayer(data.fromPlayerId);
+        const toPlayer = this.getPlayer(data.toPlayerId);
+        const before = { [fromPlayer.id]: [...fromPlayer.cards], [toPlayer.id]: [...toPlayer.cards] };
 
         // Move the card
         const card = fromPlayer.cards[data.fromSlot];
+        const gift = card.gift;
         fromPlayer.cards[data.fromSlot] = null;
         toPlayer.cards[data.toSlot] = card;
 
+        // A card handed to someone else by its owner is a gift; with an
+        // announced name it can be challenged
+        const isGift = fromPlayer !== toPlayer && player === fromPlayer;
+        if (isGift) {
+            card.gift = { fromPlayerId: fromPlayer.id, claim: sanitizeClaim(data.claim) || null };
+        } else {
+            delete card.gift;
+        }
+
         // Normalize both players' cards (shift single card to bottom)
         this.normalizePlayerCards(fromPlayer);
         this.normalizePlayerCards(toPlayer);
 
-        this.broadcast({
+        this.saveState();
+        this.recordAction({ action: 'moveCard', playerId: player.id, before, card, gift });
+
+        const toSlot = toPlayer.cards.indexOf(card);
+        this.broadcastView(view => ({
             type: 'cardMoved',
             fromPlayerId: data.fromPlayerId,
             fromSlot: data.fromSlot,
             toPlayerId: data.toPlayerId,
             toSlot: data.toSlot,
-            card: card,
-            players: this.gameState.players
-        });
+            card: projectCard(card, toPlayer.id, toSlot),
+            claim: card.gift ? card.gift.claim : null,
+            players: view.players,
+            undo: this.getUndoInfo()
+        }));
     }
 
     // Normalize cards: shift all cards to lowest slots (bottom-up stacking)
@@ -255,17 +852,19 @@ export default class GameServer {
         }
     }
 
-    // Toggle hard mode (host only, before game starts)
-    handleToggleHardMode(data, sender) {
-        if (sender.id !== this.gameState.hostId) return;
-        if (this.gameState.gameStarted) return;
-
-        this.gameState.hardMode = data.enabled;
-        this.gameState.slotCount = data.enabled ? 3 : 2;
+    // House rules (host only, before game starts) - any subset of the settings
+    handleUpdateSettings(data, sender) {
+        const { type, ...changes } = data;
+        const { settings, error, params } = applySettings(this.gameState.settings, changes);
+        if (error) {
+            this.sendError(sender, error, params);
+            return;
+        }
+        this.gameState.settings = settings;
 
         // Update existing players' slot arrays
         this.gameState.players.forEach(p => {
-            const newSlots = new Array(this.gameState.slotCount).fill(null);
+            const newSlots = new Array(settings.slotCount).fill(null);
             // Copy existing cards
             for (let i = 0; i < Math.min(p.cards.length, newSlots.length); i++) {
                 newSlots[i] = p.cards[i];
@@ -273,45 +872,102 @@ export default class GameServer {
             p.cards = newSlots;
         });
 
+        this.saveState();
+
+        this.broadcastView(view => ({
+            type: 'settingsChanged',
+            settings,
+            players: view.players
+        }));
+    }
+
+    // Toggle rules mode (host only, before game starts)
+    handleToggleRulesMode(data, sender) {
+        this.gameState.rulesMode = !!data.enabled;
+
+        this.saveState();
+
         this.broadcast({
-            type: 'hardModeChanged',
-            hardMode: this.gameState.hardMode,
-            slotCount: this.gameState.slotCount,
-            players: this.gameState.players
+            type: 'rulesModeChanged',
+            rulesMode: this.gameState.rulesMode
+        });
+    }
+
+    // Play single games or a match (host only, before game starts)
+    handleSetMatch(data, sender) {
+        const match = createMatch(data.mode, data.goal);
+        if (match && match.error) {
+            this.sendError(sender, match.error, match.params);
+            return;
+        }
+
+        this.gameState.match = match;
+
+        this.saveState();
+
+        this.broadcast({
+            type: 'matchChanged',
+            match
         });
     }
 
     // Swap two cards within same player (only if both slots have cards)
-    handleSwapCards(data, sender) {
-        const player = this.gameState.players.find(p => p.id === data.playerId);
-        if (!player) return;
+    handleSwapCards(data, sender, player) {
+        const fromSlot = data.fromSlot ?? 0;
+        const toSlot = data.toSlot ?? 1;
 
         // Only swap if both slots have cards
-        if (player.cards[0] === null || player.cards[1] === null) {
+        if (fromSlot === toSlot || player.cards[fromSlot] === null || player.cards[toSlot] === null) {
             return; // Don't swap if only 1 card
         }
 
-        [player.cards[0], player.cards[1]] = [player.cards[1], player.cards[0]];
+        [player.cards[fromSlot], player.cards[toSlot]] = [player.cards[toSlot], player.cards[fromSlot]];
 
-        this.broadcast({
+        this.saveState();
+        this.recordAction({ action: 'swapCards', playerId: player.id, fromSlot, toSlot });
+
+        this.broadcastView(view => ({
             type: 'cardsSwapped',
-            playerId: data.playerId,
-            cards: player.cards
-        });
+            playerId: player.id,
+            cards: view.players.find(p => p.id === player.id).cards,
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    // Move one card within your stack; the cards in between shift by one slot.
+    // A drop on an empty slot puts the card on top, so the stack has no holes.
+    handleReorderCards(data, sender, player) {
+        const { fromSlot } = data;
+        const toSlot = Math.min(data.toSlot, player.cards.filter(c => c !== null).length - 1);
+        if (fromSlot === toSlot) return;
+
+        moveSlot(player.cards, fromSlot, toSlot);
+
+        this.saveState();
+        this.recordAction({ action: 'reorderCards', playerId: player.id, fromSlot, toSlot });
+
+        this.broadcastView(view => ({
+            type: 'cardsReordered',
+            playerId: player.id,
+            fromSlot,
+            toSlot,
+            cards: view.players.find(p => p.id === player.id).cards,
+            undo: this.getUndoInfo()
+        }));
     }
 
     // Discard to penalty zone
-    handleDiscard(data, sender) {
-        const player = this.gameState.players.find(p => p.id === data.playerId);
-        if (!player || !player.cards[data.slotIndex]) return;
+    handleDiscard(data, sender, player) {
 
         const discardedCard = player.cards[data.slotIndex];
+        const before = { [player.id]: [...player.cards] };
 
         // Add to discard history
         this.gameState.discardHistory.push({
             card: discardedCard,
             playerId: player.id,
             playerName: player.name,
+            reason: DISCARD_REASONS.discard,
             timestamp: Date.now()
         });
 
@@ -321,22 +977,112 @@ export default class GameServer {
         // Normalize cards (shift remaining card to bottom)
         this.normalizePlayerCards(player);
 
-        const gameOver = player.penalties >= 3;
+        const gameOver = player.penalties >= this.gameState.settings.penaltyLimit;
 
-        this.broadcast({
+        this.saveState();
+        this.recordAction({ action: 'discard', playerId: player.id, before });
+
+        this.broadcastView(view => ({
             type: 'cardDiscarded',
-            playerId: data.playerId,
+            playerId: player.id,
             slotIndex: data.slotIndex,
             penalties: player.penalties,
-            discardHistory: this.gameState.discardHistory,
-            players: this.gameState.players,
+            discardHistory: view.discardHistory,
+            players: view.players,
             gameOver,
-            loserName: gameOver ? player.name : null
-        });
+            loserName: gameOver ? player.name : null,
+            seed: view.seed,
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    // Take back the last table action: the player who made it can for a few
+    // seconds, the host at any time (e.g. a card dropped on the penalty zone)
+    handleUndo(sender, player) {
+        const entry = this.journal.latest();
+        if (!entry) {
+            this.sendError(sender, 'nothingToUndo');
+            return;
+        }
+
+        if (player.id !== this.gameState.hostId) {
+            if (entry.playerId !== player.id) {
+                this.sendError(sender, 'notYourAction');
+                return;
+            }
+            if (Date.now() - entry.timestamp > UNDO_WINDOW_MS) {
+                this.sendError(sender, 'undoExpired');
+                return;
+            }
+        }
+
+        undoAction(this.gameState, entry);
+        this.saveState();
+        this.journal.pop();
+
+        this.broadcastView(view => ({
+            type: 'actionUndone',
+            playerId: player.id,
+            action: entry.action,
+            actionPlayerId: entry.playerId,
+            deckCount: view.deckCount,
+            topCard: view.topCard,
+            players: view.players,
+            discardHistory: view.discardHistory,
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    // The host accepts how a free-play game ended: no more undo, and the seed
+    // and replay are out
+    handleConfirmResult() {
+        this.gameState.resultConfirmed = true;
+        this.saveState();
+
+        this.broadcastView(view => ({
+            type: 'resultConfirmed',
+            seed: view.seed,
+            undo: this.getUndoInfo()
+        }));
+    }
+
+    // Replays show every card, so they are only handed out once the result is final
+    handleGetReplay(sender) {
+        if (!isReplayAvailable(this.replay, this.gameState)) {
+            this.sendError(sender, 'replayUnavailable');
+            return;
+        }
+
+        sender.send(JSON.stringify({ type: 'replay', replay: exportReplay(this.replay) }));
+    }
+
+    recordAction(entry) {
+        this.journal.record(entry);
+    }
+
+    // What an undo would take back right now, for the clients' Undo button.
+    // Nothing once the result is final: the seed is out by then.
+    getUndoInfo() {
+        if (isResultFinal(this.gameState)) return null;
+        const entry = this.journal.latest();
+        return entry ? { playerId: entry.playerId, action: entry.action } : null;
     }
 
     handleReset(sender) {
-        const slotCount = this.gameState.slotCount;
+        const spectatorCount = this.spectators.size;
+
+        // A finished round goes on the scoreboard; a finished match starts over.
+        // Restarting mid-round throws that round away.
+        const match = this.gameState.match;
+        const { penaltyLimit, slotCount } = this.gameState.settings;
+        if (match && isMatchOver(match, this.gameState.players, penaltyLimit)) {
+            match.rounds = [];
+        } else if (match && isRoundOver(this.gameState.players, penaltyLimit)) {
+            finishRound(match, this.gameState.players, penaltyLimit);
+        }
+
+        this.seatSpectators();
+
         this.gameState.players.forEach(p => {
             p.cards = new Array(slotCount).fill(null);
             p.penalties = 0;
@@ -344,21 +1090,80 @@ export default class GameServer {
 
         // Clear discard history
         this.gameState.discardHistory = [];
+        this.journal.clear();
+        this.clearBotMemories();
 
-        const cards = this.generateCards();
-        this.gameState.deck = shuffleArray(cards);
+        this.gameState.deck = this.createDeck();
 
-        this.broadcast({
+        if (this.gameState.rulesMode) {
+            startRulesGame(this.gameState);
+        }
+
+        this.saveState();
+        this.replay = createReplay(this.gameState, this.room.id);
+        this.saveReplay();
+
+        this.broadcastView(view => ({
             type: 'gameReset',
-            deck: this.gameState.deck,
-            players: this.gameState.players,
+            deckCount: view.deckCount,
+            topCard: view.topCard,
+            players: view.players,
             discardHistory: [],
-            hardMode: this.gameState.hardMode,
-            slotCount: this.gameState.slotCount
+            settings: this.gameState.settings,
+            rulesMode: this.gameState.rulesMode,
+            rules: this.gameState.rules,
+            match: this.gameState.match
+        }));
+
+        if (this.spectators.size !== spectatorCount) this.broadcastSpectators();
+    }
+
+    // Persist the current game state; storage writes are applied in order.
+    // Every save is a new state version - the events that follow carry it.
+    saveState() {
+        this.gameState.version++;
+        this.room.storage.put({
+            [STATE_KEY]: this.gameState,
+            [SESSIONS_KEY]: this.sessions
+        }).catch(e => {
+            console.error('Failed to save game state:', e);
+        });
+    }
+
+    // Errors are codes (with any details in params) - the client words them
+    // in the player's language
+    sendError(connection, code = 'rejected', params) {
+        connection.send(JSON.stringify({ type: 'error', code, params }));
+    }
+
+    saveReplay() {
+        this.room.storage.put({ [REPLAY_KEY]: this.replay }).catch(e => {
+            console.error('Failed to save replay:', e);
         });
     }
 
+    saveChat() {
+        this.room.storage.put({ [CHAT_KEY]: this.chat }).catch(e => {
+            console.error('Failed to save chat:', e);
+        });
+    }
+
+    // Not a state change, so no version - clients must not see it as a gap
+    broadcastSpectators() {
+        this.room.broadcast(JSON.stringify({ type: 'spectators', spectatorCount: this.spectators.size }));
+    }
+
     broadcast(message) {
-        this.room.broadcast(JSON.stringify(message));
+        this.room.broadcast(JSON.stringify({ ...message, version: this.gameState.version }));
+    }
+
+    // Messages that carry cards or the deck are built per connection from
+    // that viewer's projection, so hidden cards never leave the server
+    broadcastView(buildMessage) {
+        for (const connection of this.room.getConnections()) {
+            const viewerId = this.connections.get(connection.id) || null;
+            const message = buildMessage(projectState(this.gameState, viewerId));
+            connection.send(JSON.stringify({ ...message, version: this.gameState.version }));
+        }
     }
 }
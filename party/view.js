@@ -0,0 +1,57 @@
+// What each connection is allowed to see of the game state.
+// The server keeps the full deck and every card identity; clients get the
+// table as a player sitting at it would see it: the top of the deck, the
+// face-up cards, and only the back of face-down cards. The deal's seed
+// would give the whole deck away, so it stays hidden until the result is final.
+import { isGameOver } from '../shared/settings.js';
+
+// Game over is final in Rules Mode. Free play can end on a misdropped
+// discard, so there it is final once the host confirms it - until then the
+// host can still take the losing move back.
+export function isResultFinal(gameState) {
+    if (!isGameOver(gameState.players, gameState.settings)) return false;
+    return gameState.rulesMode || gameState.resultConfirmed === true;
+}
+
+// Face-down cards keep their back (colour is public) and any announced claim,
+// but lose their identity - the placeholder only names the seat and slot
+export function projectCard(card, playerId, slotIndex) {
+    if (!card) return null;
+    if (!card.isFlipped) return { ...card };
+
+    const hidden = {
+        id: `hidden_${playerId}_${slotIndex}`,
+        back: card.back,
+        isFlipped: true
+    };
+    if (card.gift) hidden.gift = { ...card.gift };
+    return hidden;
+}
+
+export function projectPlayer(player) {
+    return {
+        ...player,
+        cards: player.cards.map((card, i) => projectCard(card, player.id, i))
+    };
+}
+
+// The state sent to one viewer (a player id, or null before they join)
+export function projectState(gameState, viewerId) {
+    const deck = gameState.deck;
+    return {
+        players: gameState.players.map(projectPlayer),
+        deckCount: deck.length,
+        topCard: deck.length > 0 ? { ...deck[deck.length - 1] } : null,
+        discardHistory: gameState.discardHistory, // Penalty cards are revealed
+        gameStarted: gameState.gameStarted,
+        hostId: gameState.hostId,
+        settings: gameState.settings,
+        rulesMode: gameState.rulesMode,
+        rules: gameState.rules,
+        match: gameState.match,
+        seed: isResultFinal(gameState) ? gameState.seed : null,
+        hasFixedSeed: gameState.fixedSeed !== null,
+        version: gameState.version,
+        viewerId
+    };
+}
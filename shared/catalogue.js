@@ -0,0 +1,192 @@
+// Card catalogue for That's Not a Hat - shared by the client and the PartyKit server.
+// One entry per card: the numbered id (card_001 ... card_110), the item drawn on
+// it, a category and the colour of its back (which decides the passing direction).
+
+const CARDS_PATH = '/cards/items/';
+const BACKS_PATH = '/cards/backs/';
+
+// Longest claim a player can type
+export const MAX_CLAIM_LENGTH = 40;
+
+export const CATEGORIES = {
+    animals: 'Animals',
+    clothing: 'Clothing & Accessories',
+    electronics: 'Electronics',
+    food: 'Food',
+    household: 'Household',
+    kitchen: 'Kitchen',
+    music: 'Music',
+    nature: 'Nature',
+    office: 'Office & School',
+    sports: 'Sports',
+    tools: 'Tools',
+    toys: 'Toys & Games'
+};
+
+export const CARD_CATALOGUE = [
+    { id: 'card_001', name: 'Gramophone', category: 'music', backColor: 'black' },
+    { id: 'card_002', name: 'Lipstick', category: 'clothing', backColor: 'black' },
+    { id: 'card_003', name: 'Clock', category: 'household', backColor: 'black' },
+    { id: 'card_004', name: 'Balloon', category: 'toys', backColor: 'black' },
+    { id: 'card_005', name: 'Briefcase', category: 'office', backColor: 'black' },
+    { id: 'card_006', name: 'Sock', category: 'clothing', backColor: 'black' },
+    { id: 'card_007', name: 'Bell', category: 'music', backColor: 'black' },
+    { id: 'card_008', name: 'Pencil', category: 'office', backColor: 'black' },
+    { id: 'card_009', name: 'Television', category: 'electronics', backColor: 'black' },
+    { id: 'card_010', name: 'Rolling Pin', category: 'kitchen', backColor: 'black' },
+    { id: 'card_011', name: 'Cactus', category: 'nature', backColor: 'black' },
+    { id: 'card_012', name: 'Scooter', category: 'sports', backColor: 'black' },
+    { id: 'card_013', name: 'Umbrella', category: 'clothing', backColor: 'black' },
+    { id: 'card_014', name: 'Fried Egg', category: 'food', backColor: 'black' },
+    { id: 'card_015', name: 'Hourglass', category: 'household', backColor: 'black' },
+    { id: 'card_016', name: 'Game Controller', category: 'toys', backColor: 'black' },
+    { id: 'card_017', name: 'Globe', category: 'office', backColor: 'black' },
+    { id: 'card_018', name: 'Cookie', category: 'food', backColor: 'black' },
+    { id: 'card_019', name: 'Popcorn', category: 'food', backColor: 'black' },
+    { id: 'card_020', name: 'Flashlight', category: 'tools', backColor: 'black' },
+    { id: 'card_021', name: 'Spoon', category: 'kitchen', backColor: 'black' },
+    { id: 'card_022', name: 'Chicken Leg', category: 'food', backColor: 'black' },
+    { id: 'card_023', name: 'Frog', category: 'animals', backColor: 'black' },
+    { id: 'card_024', name: 'Key', category: 'household', backColor: 'black' },
+    { id: 'card_025', name: 'Pretzel', category: 'food', backColor: 'black' },
+    { id: 'card_026', name: 'Pillow', category: 'household', backColor: 'black' },
+    { id: 'card_027', name: 'Piano', category: 'music', backColor: 'black' },
+    { id: 'card_028', name: 'Coat Hanger', category: 'household', backColor: 'black' },
+    { id: 'card_029', name: 'Fries', category: 'food', backColor: 'black' },
+    { id: 'card_030', name: 'Glasses', category: 'clothing', backColor: 'black' },
+    { id: 'card_031', name: 'Piggy Bank', category: 'household', backColor: 'black' },
+    { id: 'card_032', name: 'Camera', category: 'electronics', backColor: 'black' },
+    { id: 'card_033', name: 'Toaster', category: 'kitchen', backColor: 'black' },
+    { id: 'card_034', name: 'Taco', category: 'food', backColor: 'black' },
+    { id: 'card_035', name: 'Telephone', category: 'electronics', backColor: 'black' },
+    { id: 'card_036', name: 'Donut', category: 'food', backColor: 'black' },
+    { id: 'card_037', name: 'Radio', category: 'electronics', backColor: 'black' },
+    { id: 'card_038', name: 'Water Bottle', category: 'kitchen', backColor: 'black' },
+    { id: 'card_039', name: 'Compass', category: 'tools', backColor: 'black' },
+    { id: 'card_040', name: 'Bow Tie', category: 'clothing', backColor: 'black' },
+    { id: 'card_041', name: 'Bucket', category: 'household', backColor: 'black' },
+    { id: 'card_042', name: 'Football', category: 'sports', backColor: 'black' },
+    { id: 'card_043', name: 'Flip-Flops', category: 'clothing', backColor: 'black' },
+    { id: 'card_044', name: 'Burger', category: 'food', backColor: 'black' },
+    { id: 'card_045', name: 'Baguette', category: 'food', backColor: 'black' },
+    { id: 'card_046', name: 'Pizza Slice', category: 'food', backColor: 'black' },
+    { id: 'card_047', name: 'Hockey Stick', category: 'sports', backColor: 'black' },
+    { id: 'card_048', name: 'Cheese', category: 'food', backColor: 'black' },
+    { id: 'card_049', name: 'Xylophone', category: 'music', backColor: 'black' },
+    { id: 'card_050', name: 'Magnifying Glass', category: 'tools', backColor: 'black' },
+    { id: 'card_051', name: 'Bikini', category: 'clothing', backColor: 'black' },
+    { id: 'card_052', name: 'Snowman', category: 'nature', backColor: 'black' },
+    { id: 'card_053', name: 'Apple', category: 'food', backColor: 'black' },
+    { id: 'card_054', name: 'Tie', category: 'clothing', backColor: 'black' },
+    { id: 'card_055', name: 'Rubber Duck', category: 'toys', backColor: 'black' },
+    { id: 'card_056', name: 'Baseball', category: 'sports', backColor: 'white' },
+    { id: 'card_057', name: 'Paper Clip', category: 'office', backColor: 'white' },
+    { id: 'card_058', name: 'Traffic Cone', category: 'tools', backColor: 'white' },
+    { id: 'card_059', name: 'Kettle', category: 'kitchen', backColor: 'white' },
+    { id: 'card_060', name: 'Top Hat', category: 'clothing', backColor: 'white' },
+    { id: 'card_061', name: 'Life Ring', category: 'sports', backColor: 'white' },
+    { id: 'card_062', name: 'Hammer', category: 'tools', backColor: 'white' },
+    { id: 'card_063', name: 'Newspaper', category: 'office', backColor: 'white' },
+    { id: 'card_064', name: 'Flower', category: 'nature', backColor: 'white' },
+    { id: 'card_065', name: 'Bicycle', category: 'sports', backColor: 'white' },
+    { id: 'card_066', name: 'Headphones', category: 'electronics', backColor: 'white' },
+    { id: 'card_067', name: 'Guitar', category: 'music', backColor: 'white' },
+    { id: 'card_068', name: 'Candle', category: 'household', backColor: 'white' },
+    { id: 'card_069', name: 'Dice', category: 'toys', backColor: 'white' },
+    { id: 'card_070', name: 'Banana', category: 'food', backColor: 'white' },
+    { id: 'card_071', name: 'Dumbbell', category: 'sports', backColor: 'white' },
+    { id: 'card_072', name: 'Trophy', category: 'sports', backColor: 'white' },
+    { id: 'card_073', name: 'Walking Cane', category: 'household', backColor: 'white' },
+    { id: 'card_074', name: 'Tape Measure', category: 'tools', backColor: 'white' },
+    { id: 'card_075', name: 'Trumpet', category: 'music', backColor: 'white' },
+    { id: 'card_076', name: 'Bird', category: 'animals', backColor: 'white' },
+    { id: 'card_077', name: 'Ladder', category: 'tools', backColor: 'white' },
+    { id: 'card_078', name: 'Roller Skate', category: 'sports', backColor: 'white' },
+    { id: 'card_079', name: 'Safety Pin', category: 'household', backColor: 'white' },
+    { id: 'card_080', name: 'Tennis Racket', category: 'sports', backColor: 'white' },
+    { id: 'card_081', name: 'Watermelon', category: 'food', backColor: 'white' },
+    { id: 'card_082', name: 'Broccoli', category: 'food', backColor: 'white' },
+    { id: 'card_083', name: 'Rug', category: 'household', backColor: 'white' },
+    { id: 'card_084', name: 'Alarm Clock', category: 'household', backColor: 'white' },
+    { id: 'card_085', name: 'Fish', category: 'animals', backColor: 'white' },
+    { id: 'card_086', name: 'Chair', category: 'household', backColor: 'white' },
+    { id: 'card_087', name: 'Backpack', category: 'clothing', backColor: 'white' },
+    { id: 'card_088', name: 'Teddy Bear', category: 'toys', backColor: 'white' },
+    { id: 'card_089', name: 'Strawberry', category: 'food', backColor: 'white' },
+    { id: 'card_090', name: 'Ruler', category: 'office', backColor: 'white' },
+    { id: 'card_091', name: 'Boot', category: 'clothing', backColor: 'white' },
+    { id: 'card_092', name: 'Skateboard', category: 'sports', backColor: 'white' },
+    { id: 'card_093', name: 'Muffin', category: 'food', backColor: 'white' },
+    { id: 'card_094', name: 'Watering Can', category: 'tools', backColor: 'white' },
+    { id: 'card_095', name: 'Toothbrush', category: 'household', backColor: 'white' },
+    { id: 'card_096', name: 'Cake', category: 'food', backColor: 'white' },
+    { id: 'card_097', name: 'Book', category: 'office', backColor: 'white' },
+    { id: 'card_098', name: 'Yo-Yo', category: 'toys', backColor: 'white' },
+    { id: 'card_099', name: 'Dog', category: 'animals', backColor: 'white' },
+    { id: 'card_100', name: 'Gloves', category: 'clothing', backColor: 'white' },
+    { id: 'card_101', name: 'Lamp', category: 'household', backColor: 'white' },
+    { id: 'card_102', name: 'Anchor', category: 'tools', backColor: 'white' },
+    { id: 'card_103', name: 'Shorts', category: 'clothing', backColor: 'white' },
+    { id: 'card_104', name: 'Cat', category: 'animals', backColor: 'white' },
+    { id: 'card_105', name: 'Eraser', category: 'office', backColor: 'white' },
+    { id: 'card_106', name: 'Kite', category: 'toys', backColor: 'white' },
+    { id: 'card_107', name: 'Duck', category: 'animals', backColor: 'white' },
+    { id: 'card_108', name: 'Fork', category: 'kitchen', backColor: 'white' },
+    { id: 'card_109', name: 'Screwdriver', category: 'tools', backColor: 'white' },
+    { id: 'card_110', name: 'Mouse', category: 'animals', backColor: 'white' }
+];
+
+const CATALOGUE_BY_ID = Object.fromEntries(CARD_CATALOGUE.map(entry => [entry.id, entry]));
+
+// All item names, alphabetical - for claim suggestions
+export const ITEM_NAME_LIST = CARD_CATALOGUE.map(entry => entry.name).sort();
+
+export function getCardInfo(cardId) {
+    return CATALOGUE_BY_ID[cardId] || null;
+}
+
+export function getCardName(cardId) {
+    const info = getCardInfo(cardId);
+    return info ? info.name : cardId;
+}
+
+export function getCardImage(cardId) {
+    return `${CARDS_PATH}${cardId}.png`;
+}
+
+export function getBackImage(backColor) {
+    return `${BACKS_PATH}back_${backColor}.png`;
+}
+
+// A fresh, unshuffled set of playable cards - one per catalogue entry
+export function createDeckCards() {
+    return CARD_CATALOGUE.map(entry => ({
+        id: entry.id,
+        front: getCardImage(entry.id),
+        back: getBackImage(entry.backColor),
+        isFlipped: false
+    }));
+}
+
+// Case, spacing and punctuation don't matter when comparing names
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Card id whose item matches a typed name, or null
+export function findCardIdByName(name) {
+    const wanted = normalizeName(name);
+    const entry = CARD_CATALOGUE.find(e => normalizeName(e.name) === wanted);
+    return entry ? entry.id : null;
+}
+
+// Does an announced name describe this card?
+export function isClaimFor(cardId, claim) {
+    return normalizeName(getCardName(cardId)) === normalizeName(claim);
+}
+
+// Trim a claim from the network; returns '' for anything unusable
+export function sanitizeClaim(claim) {
+    if (typeof claim !== 'string') return '';
+    return claim.trim().slice(0, MAX_CLAIM_LENGTH);
+}
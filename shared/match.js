@@ -0,0 +1,76 @@
+// Matches: several rounds played back to back with a running score, shared
+// by the server (which records the rounds) and the client (scoreboard).
+// A round is one game - it ends when somebody reaches the room's penalty limit
+// (shared/settings.js). Scores are penalties, so the lowest total wins. A match
+// either runs a fixed number of rounds or until somebody's total reaches the
+// target score.
+
+export const MATCH_MODES = ['off', 'rounds', 'target'];
+
+const MATCH_LIMITS = {
+    rounds: { min: 1, max: 20 },
+    target: { min: 3, max: 50 }
+};
+
+const roundLosers = (players, penaltyLimit) => players.filter(p => p.penalties >= penaltyLimit);
+
+export const isRoundOver = (players, penaltyLimit) => roundLosers(players, penaltyLimit).length > 0;
+
+// Settings chosen by the host in the lobby. 'off' plays single games.
+export function createMatch(mode, goal) {
+    if (mode === 'off') return null;
+
+    const limits = MATCH_LIMITS[mode];
+    if (!limits) return { error: 'invalidMatch' };
+    if (!Number.isInteger(goal) || goal < limits.min || goal > limits.max) {
+        return { error: 'invalidMatch', params: { reason: 'range', min: limits.min, max: limits.max } };
+    }
+    return { mode, goal, rounds: [] };
+}
+
+// Store a finished round: everyone's penalties and who lost it
+export function finishRound(match, players, penaltyLimit) {
+    match.rounds.push({
+        results: players.map(p => ({ playerId: p.id, name: p.name, penalties: p.penalties })),
+        loserIds: roundLosers(players, penaltyLimit).map(p => p.id)
+    });
+}
+
+// Totals over the recorded rounds plus the round being played, best first.
+// Players who left keep their line; players who joined late start from zero.
+export function getStandings(match, players, penaltyLimit) {
+    const rounds = [...match.rounds, {
+        results: players.map(p => ({ playerId: p.id, name: p.name, penalties: p.penalties })),
+        loserIds: roundLosers(players, penaltyLimit).map(p => p.id)
+    }];
+
+    const standings = new Map();
+    for (const round of rounds) {
+        for (const { playerId, name, penalties } of round.results) {
+            const line = standings.get(playerId) || { playerId, name, penalties: 0, roundsLost: 0 };
+            line.name = name;
+            line.penalties += penalties;
+            if (round.loserIds.includes(playerId)) line.roundsLost++;
+            standings.set(playerId, line);
+        }
+    }
+
+    return [...standings.values()].sort((a, b) => a.penalties - b.penalties || a.roundsLost - b.roundsLost);
+}
+
+// The round being played, counting from 1
+export const currentRound = match => match.rounds.length + 1;
+
+// Only checked at the end of a round - a match never stops mid-game
+export function isMatchOver(match, players, penaltyLimit) {
+    if (!isRoundOver(players, penaltyLimit)) return false;
+    if (match.mode === 'rounds') return currentRound(match) >= match.goal;
+    return getStandings(match, players, penaltyLimit).some(line => line.penalties >= match.goal);
+}
+
+// Everyone tied on the lowest total, once the match is over
+export function getMatchWinners(match, players, penaltyLimit) {
+    if (!isMatchOver(match, players, penaltyLimit)) return [];
+    const standings = getStandings(match, players, penaltyLimit);
+    return standings.filter(line => line.penalties === standings[0].penalties);
+}
@@ -0,0 +1,227 @@
+// Wire protocol shared by the client (src/main.js) and the server (party/server.js).
+// Every client -> server message is listed in CLIENT_MESSAGES with its fields;
+// the server validates against it before anything touches the game state.
+// Server -> client events are listed in SERVER_MESSAGES; every event that
+// follows a change also carries the new state `version`, so clients can spot
+// a missed event and ask for a full snapshot with `sync`.
+import { MAX_CLAIM_LENGTH } from './catalogue.js';
+import { MATCH_MODES } from './match.js';
+import { SETTING_LIMITS } from './settings.js';
+
+// Bump when a change would confuse clients built against the old protocol
+export const PROTOCOL_VERSION = 4;
+
+export const MAX_NAME_LENGTH = 12;
+export const MAX_SEED_LENGTH = 32;
+export const MAX_CHAT_LENGTH = 200;
+export const CHAT_HISTORY_LIMIT = 30; // Messages kept for whoever connects next
+// Quick reactions that float over the sender's seat
+export const REACTIONS = ['👍', '😂', '😮', '🤔', '🎩', '🙈'];
+export const MAX_SLOTS = SETTING_LIMITS.slotCount.max;
+// How well bots remember cards (party/bots.js has what each level means)
+export const BOT_LEVELS = ['easy', 'normal', 'hard'];
+// Downloaded replays carry this so the viewer can refuse files it can't read
+export const REPLAY_FORMAT = 1;
+
+// How long a player can take back their own last action (the host always can)
+export const UNDO_WINDOW_MS = 5000;
+const MAX_ID_LENGTH = 64;
+const MAX_MESSAGE_LENGTH = 2048;
+
+// Field types
+const slot = { type: 'slot' };
+const playerId = { type: 'string', maxLength: MAX_ID_LENGTH };
+const name = { type: 'string', maxLength: MAX_NAME_LENGTH, nonEmpty: true };
+const optional = field => ({ ...field, optional: true });
+
+export const CLIENT_MESSAGES = {
+    join: {
+        name,
+        token: optional({ type: 'string', maxLength: MAX_ID_LENGTH }),
+        version: { type: 'integer' }
+    },
+    // Watch without a seat; wantsSeat (needs a name) takes the next free one
+    spectate: {
+        name: optional(name),
+        token: optional({ type: 'string', maxLength: MAX_ID_LENGTH }),
+        wantsSeat: { type: 'boolean' },
+        version: { type: 'integer' }
+    },
+    leave: {},
+    start: {},
+    draw: {},
+    flip: { slotIndex: slot },
+    moveCard: {
+        fromPlayerId: playerId,
+        fromSlot: slot,
+        toPlayerId: playerId,
+        toSlot: slot,
+        claim: optional({ type: 'string', maxLength: MAX_CLAIM_LENGTH })
+    },
+    swapCards: { playerId: optional(playerId), fromSlot: optional(slot), toSlot: optional(slot) },
+    reorderCards: { fromSlot: slot, toSlot: slot },
+    discard: { playerId: optional(playerId), slotIndex: slot },
+    undo: {},
+    getReplay: {},
+    confirmResult: {},
+    reset: {},
+    ping: {},
+    sync: {},
+    // House rules (shared/settings.js) - only the fields being changed
+    updateSettings: {
+        penaltyLimit: optional({ type: 'integer' }),
+        slotCount: optional({ type: 'integer' }),
+        deckSize: optional({ type: 'integer' }),
+        backColors: optional({ type: 'boolean' })
+    },
+    toggleRulesMode: { enabled: { type: 'boolean' } },
+    setMatch: { mode: { type: 'enum', values: MATCH_MODES }, goal: optional({ type: 'integer' }) },
+    // A fixed seed for every deal; leave it out (or empty) for random deals
+    setSeed: { seed: optional({ type: 'string', maxLength: MAX_SEED_LENGTH }) },
+    // Bots fill seats for Rules Mode games; a seed makes one play the same way every time
+    addBot: { level: { type: 'enum', values: BOT_LEVELS }, seed: optional({ type: 'integer' }) },
+    removeBot: { playerId },
+    // Rules mode
+    pass: {
+        slotIndex: slot,
+        toPlayerId: playerId,
+        claim: { type: 'string', maxLength: MAX_CLAIM_LENGTH, nonEmpty: true }
+    },
+    acceptGift: {},
+    challenge: { slotIndex: slot },
+    // Table talk (party/chat.js)
+    chat: { text: { type: 'string', maxLength: MAX_CHAT_LENGTH, nonEmpty: true } },
+    react: { reaction: { type: 'enum', values: REACTIONS } }
+};
+
+// Server -> client events and the fields they carry
+export const SERVER_MESSAGES = {
+    state: ['state'],
+    joined: ['playerId'],
+    spectating: ['wantsSeat'],
+    spectators: ['spectatorCount'],
+    chatHistory: ['messages'],
+    chat: ['message'],
+    reaction: ['playerId', 'reaction'],
+    error: ['code', 'params'],
+    pong: [],
+    replay: ['replay'],
+    playerJoined: ['player', 'hostId', 'players', 'undo'],
+    playerDisconnected: ['playerId', 'players', 'undo'],
+    playerLeft: ['playerId', 'hostId', 'players'],
+    gameStarted: ['deckCount', 'topCard', 'players', 'settings', 'rulesMode', 'rules', 'match'],
+    gameReset: ['deckCount', 'topCard', 'players', 'discardHistory', 'settings', 'rulesMode', 'rules', 'match'],
+    cardDrawn: ['playerId', 'slotIndex', 'card', 'deckCount', 'topCard', 'players', 'rules', 'undo'],
+    cardFlipped: ['playerId', 'slotIndex', 'isFlipped', 'card', 'undo'],
+    cardMoved: ['fromPlayerId', 'fromSlot', 'toPlayerId', 'toSlot', 'card', 'claim', 'players', 'undo'],
+    cardsSwapped: ['playerId', 'cards', 'undo'],
+    cardsReordered: ['playerId', 'fromSlot', 'toSlot', 'cards', 'undo'],
+    cardDiscarded: [
+        'playerId', 'slotIndex', 'penalties', 'discardHistory', 'players', 'gameOver', 'loserName', 'seed', 'undo'
+    ],
+    resultConfirmed: ['seed', 'undo'],
+    actionUndone: ['playerId', 'action', 'actionPlayerId', 'deckCount', 'topCard', 'players', 'discardHistory', 'undo'],
+    settingsChanged: ['settings', 'players'],
+    rulesModeChanged: ['rulesMode'],
+    matchChanged: ['match'],
+    seedChanged: ['hasFixedSeed'],
+    giftPassed: ['fromPlayerId', 'fromSlot', 'toPlayerId', 'slotIndex', 'claim', 'direction', 'players', 'rules'],
+    giftAccepted: ['playerId', 'fromPlayerId', 'claim', 'rules'],
+    challengeResolved: [
+        'challengerId', 'slotIndex', 'giverId', 'claim', 'card', 'truthful', 'loserId',
+        'discardHistory', 'players', 'rules', 'gameOver', 'loserName', 'seed'
+    ]
+};
+
+function checkField(value, field) {
+    switch (field.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.length > field.maxLength) return false;
+            return !field.nonEmpty || value.trim().length > 0;
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'enum':
+            return field.values.includes(value);
+        case 'slot':
+            return Number.isInteger(value) && value >= 0 && value < MAX_SLOTS;
+        default:
+            return false;
+    }
+}
+
+const invalid = (code, params) => ({ error: { code, params } });
+
+// Server side: parse and validate a raw client message.
+// Returns { message } with only the known fields, or { error: { code, params } }.
+export function parseClientMessage(raw) {
+    if (typeof raw !== 'string' || raw.length > MAX_MESSAGE_LENGTH) {
+        return invalid('invalidMessage');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        return invalid('invalidMessage');
+    }
+    if (!data || typeof data !== 'object') return invalid('invalidMessage');
+
+    const fields = CLIENT_MESSAGES[data.type];
+    if (!fields) return invalid('unknownAction');
+
+    const message = { type: data.type };
+    for (const [key, field] of Object.entries(fields)) {
+        if (data[key] === undefined && field.optional) continue;
+        if (!checkField(data[key], field)) {
+            return invalid('invalidMessage', { field: key });
+        }
+        message[key] = data[key];
+    }
+
+    // Clients from an older build would misread the new events
+    if ((message.type === 'join' || message.type === 'spectate') && message.version !== PROTOCOL_VERSION) {
+        return invalid('protocolMismatch');
+    }
+
+    return { message };
+}
+
+// Client side: parse a server event, ignoring anything this build doesn't know
+export function parseServerMessage(raw) {
+    const data = JSON.parse(raw);
+    return data && SERVER_MESSAGES[data.type] ? data : null;
+}
+
+// Client side: one builder per client message, so nothing is hand-assembled
+export const clientMessages = {
+    join: (name, token) => ({ type: 'join', name, token, version: PROTOCOL_VERSION }),
+    spectate: (name, token, wantsSeat) => ({ type: 'spectate', name, token, wantsSeat, version: PROTOCOL_VERSION }),
+    leave: () => ({ type: 'leave' }),
+    start: () => ({ type: 'start' }),
+    draw: () => ({ type: 'draw' }),
+    flip: slotIndex => ({ type: 'flip', slotIndex }),
+    moveCard: (fromPlayerId, fromSlot, toPlayerId, toSlot, claim) =>
+        ({ type: 'moveCard', fromPlayerId, fromSlot, toPlayerId, toSlot, claim }),
+    swapCards: (fromSlot, toSlot) => ({ type: 'swapCards', fromSlot, toSlot }),
+    reorderCards: (fromSlot, toSlot) => ({ type: 'reorderCards', fromSlot, toSlot }),
+    discard: slotIndex => ({ type: 'discard', slotIndex }),
+    undo: () => ({ type: 'undo' }),
+    getReplay: () => ({ type: 'getReplay' }),
+    confirmResult: () => ({ type: 'confirmResult' }),
+    reset: () => ({ type: 'reset' }),
+    ping: () => ({ type: 'ping' }),
+    sync: () => ({ type: 'sync' }),
+    updateSettings: changes => ({ type: 'updateSettings', ...changes }),
+    toggleRulesMode: enabled => ({ type: 'toggleRulesMode', enabled }),
+    setMatch: (mode, goal) => ({ type: 'setMatch', mode, goal }),
+    setSeed: seed => ({ type: 'setSeed', seed }),
+    addBot: (level, seed) => ({ type: 'addBot', level, seed }),
+    removeBot: playerId => ({ type: 'removeBot', playerId }),
+    pass: (slotIndex, toPlayerId, claim) => ({ type: 'pass', slotIndex, toPlayerId, claim }),
+    acceptGift: () => ({ type: 'acceptGift' }),
+    challenge: slotIndex => ({ type: 'challenge', slotIndex }),
+    chat: text => ({ type: 'chat', text }),
+    react: reaction => ({ type: 'react', reaction })
+};
@@ -0,0 +1,43 @@
+// Seeded pseudo-random numbers (mulberry32). The same seed always gives the
+// same sequence, so anything driven by it can be replayed and tested offline.
+// The whole state is one 32-bit number, small enough to keep in room storage.
+
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Where the sequence has got to - createRandom(getState()) carries on from here
+    random.getState = () => state;
+
+    return random;
+}
+
+// A fresh seed when none was given
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+// Turn a seed typed by a person ("final-round-2") into a number (FNV-1a)
+export function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Fisher-Yates shuffle into a new array
+export function shuffle(array, random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+export const pickRandom = (random, items) => items[Math.floor(random() * items.length)];
@@ -0,0 +1,65 @@
+// House rules for a room, shared by the server (which enforces them) and the
+// client (lobby controls). The host edits them in the lobby; every handler
+// reads them from gameState.settings.
+import { getCardInfo, getBackImage } from './catalogue.js';
+
+export const DEFAULT_SETTINGS = {
+    penaltyLimit: 3, // Penalties that lose the game
+    slotCount: 2, // Cards each player can hold
+    deckSize: 110, // The full catalogue
+    backColors: true // Black and white backs decide which way a card is passed
+};
+
+export const SETTING_LIMITS = {
+    penaltyLimit: { min: 1, max: 10 },
+    slotCount: { min: 1, max: 4 },
+    // Even sizes only, so the two back colours stay balanced
+    deckSize: { min: 20, max: 110, step: 2 }
+};
+
+// Check a partial update from the host. Returns { settings } with the changes
+// applied to the current settings, or { error, params } with an error code.
+export function applySettings(current, changes) {
+    const settings = { ...current };
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) continue;
+        if (key === 'backColors') {
+            if (typeof value !== 'boolean') return { error: 'invalidSettings', params: { setting: key } };
+            settings.backColors = value;
+            continue;
+        }
+
+        const limits = SETTING_LIMITS[key];
+        if (!limits) return { error: 'invalidSettings', params: { setting: key } };
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            return { error: 'invalidSettings', params: { reason: 'range', setting: key, min: limits.min, max: limits.max } };
+        }
+        if (limits.step && value % limits.step !== 0) {
+            return { error: 'invalidSettings', params: { reason: 'step', setting: key, step: limits.step } };
+        }
+        settings[key] = value;
+    }
+
+    return { settings };
+}
+
+export const isGameOver = (players, settings) => players.some(p => p.penalties >= settings.penaltyLimit);
+
+// Cut a shuffled full deck down to the room's size, half of each back colour.
+// Without back colours every card gets the same (black) back.
+export function buildDeck(shuffledCards, settings) {
+    const isBlack = card => getCardInfo(card.id).backColor === 'black';
+
+    let cards = shuffledCards;
+    if (settings.deckSize < shuffledCards.length) {
+        const perColour = settings.deckSize / 2;
+        const kept = new Set([
+            ...shuffledCards.filter(isBlack).slice(0, perColour),
+            ...shuffledCards.filter(c => !isBlack(c)).slice(0, perColour)
+        ]);
+        cards = shuffledCards.filter(c => kept.has(c));
+    }
+
+    return settings.backColors ? cards : cards.map(c => ({ ...c, back: getBackImage('black') }));
+}
@@ -1,8 +1,10 @@
+import { getCardName, getBackImage } from '../shared/catalogue.js';
+import { t } from './i18n.js';
+
 // Card component with flip animation
 export function createCard(cardData, isLarge = false) {
     const card = document.createElement('div');
-    card.className = `card${isLarge ? ' large' : ''}${cardData.isFlipped ? ' flipped' : ''}`;
-    card.dataset.cardId = cardData.id;
+    card.setAttribute('role', 'img');
     card.draggable = false; // We handle drag manually for touch support
 
     const inner = document.createElement('div');
@@ -10,19 +12,38 @@ export function createCard(cardData, isLarge = false) {
 
     const front = document.createElement('div');
     front.className = 'card-face card-front';
-    front.style.backgroundImage = `url(${cardData.front})`;
 
     const back = document.createElement('div');
     back.className = 'card-face card-back';
-    back.style.backgroundImage = `url(${cardData.back})`;
 
     inner.appendChild(front);
     inner.appendChild(back);
     card.appendChild(inner);
 
+    updateCard(card, cardData, isLarge);
     return card;
 }
 
+// Bring an existing card element up to date in place, so a flip animates
+// instead of swapping in a new element. Face-down cards from the server
+// carry no front image - the old face stays underneath until it turns up.
+export function updateCard(card, cardData, isLarge = false) {
+    card.classList.add('card');
+    card.classList.toggle('large', isLarge);
+    card.classList.toggle('flipped', Boolean(cardData.isFlipped));
+    card.dataset.cardId = cardData.id;
+    card.setAttribute('aria-label', cardData.isFlipped ? t('card.faceDown') : getCardName(cardData.id));
+
+    setImage(card.querySelector('.card-front'), cardData.front);
+    setImage(card.querySelector('.card-back'), cardData.back);
+}
+
+function setImage(element, url) {
+    if (!url) return;
+    const image = `url("${url}")`;
+    if (element.style.backgroundImage !== image) element.style.backgroundImage = image;
+}
+
 // Handle double tap/click to flip
 let lastTapTime = 0;
 export function setupFlipHandler(cardElement, onFlip) {
@@ -56,9 +77,9 @@ export function preloadCardImages(cardList) {
     });
 
     // Also preload backs
-    ['back_black.png', 'back_white.png'].forEach(back => {
+    ['black', 'white'].forEach(color => {
         const img = new Image();
-        img.src = `/cards/backs/${back}`;
+        img.src = getBackImage(color);
     });
 
     return Promise.all(promises);
@@ -1,30 +1,10 @@
-// Card paths configuration
-const CARDS_PATH = '/cards/items/';
-const BACKS_PATH = '/cards/backs/';
-
-// Generate card list (110 cards)
-export function generateCardList() {
-    const cards = [];
-    for (let i = 1; i <= 110; i++) {
-        const cardNum = String(i).padStart(3, '0');
-        cards.push({
-            id: `card_${cardNum}`,
-            front: `${CARDS_PATH}card_${cardNum}.png`,
-            // First 55 cards get black back, rest get white back (will be shuffled)
-            back: i <= 55 ? `${BACKS_PATH}back_black.png` : `${BACKS_PATH}back_white.png`
-        });
-    }
-    return cards;
-}
+import { createDeckCards } from '../shared/catalogue.js';
+import { DEFAULT_SETTINGS, buildDeck } from '../shared/settings.js';
+import { shuffle, createRandom, hashSeed } from '../shared/random.js';
 
-// Fisher-Yates shuffle
-export function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+// Fisher-Yates shuffle; pass a seeded random (shared/random.js) to repeat a deal
+export function shuffleArray(array, random = Math.random) {
+    return shuffle(array, random);
 }
 
 // Generate room code
@@ -37,7 +17,21 @@ export function generateRoomCode(length = 4) {
     return code;
 }
 
-// Calculate player positions around the table
+// Persistent player token - lets a reconnecting client reclaim its seat
+const PLAYER_TOKEN_KEY = 'tnah-player-token';
+
+export function getPlayerToken() {
+    let token = localStorage.getItem(PLAYER_TOKEN_KEY);
+    if (!token) {
+        token = crypto.randomUUID();
+        localStorage.setItem(PLAYER_TOKEN_KEY, token);
+    }
+    return token;
+}
+
+// Calculate player positions around the table. With no current player
+// (spectators, replays) nobody is pinned to the bottom - the seats are
+// turned half a step so the table reads evenly from outside.
 export function calculatePlayerPositions(playerCount, currentPlayerIndex, viewportWidth, viewportHeight) {
     const positions = [];
     const centerX = viewportWidth / 2;
@@ -48,11 +42,13 @@ export function calculatePlayerPositions(playerCount, currentPlayerIndex, viewpo
     const radiusY = Math.min(viewportHeight * 0.35, 280);
 
     // Start from bottom (current player) and go clockwise
-    const startAngle = Math.PI / 2; // Bottom
+    const isNeutral = currentPlayerIndex < 0;
+    const startAngle = Math.PI / 2 + (isNeutral ? Math.PI / playerCount : 0);
+    const firstIndex = isNeutral ? 0 : currentPlayerIndex;
 
     for (let i = 0; i < playerCount; i++) {
         // Reorder so current player is always at bottom
-        const adjustedIndex = (i + currentPlayerIndex) % playerCount;
+        const adjustedIndex = (i + firstIndex) % playerCount;
         const angle = startAngle + (i * 2 * Math.PI / playerCount);
 
         positions[adjustedIndex] = {
@@ -76,13 +72,17 @@ export class GameState {
         this.players = [];
         this.currentPlayerId = null;
         this.deck = [];
+        this.deckCount = 0; // Server view: size of the deck
+        this.topCard = null; // Server view: the only deck card anyone can see
         this.isHost = false;
         this.gameStarted = false;
+        this.settings = { ...DEFAULT_SETTINGS }; // House rules from the server
     }
 
-    initDeck() {
-        const cards = generateCardList();
-        this.deck = shuffleArray(cards);
+    // The same seed deals the same deck as the server does for that seed
+    initDeck(seed) {
+        const random = seed === undefined ? Math.random : createRandom(hashSeed(seed));
+        this.deck = buildDeck(shuffleArray(createDeckCards(), random), this.settings);
     }
 
     addPlayer(player) {
@@ -90,7 +90,7 @@ export class GameState {
             this.players.push({
                 id: player.id,
                 name: player.name,
-                cards: [null, null], // top and bottom slots
+                cards: new Array(this.settings.slotCount).fill(null),
                 penalties: 0
             });
             return true;
@@ -135,11 +135,22 @@ export class GameState {
         return true;
     }
 
-    swapCards(playerId) {
+    swapCards(playerId, fromSlot = 0, toSlot = 1) {
         const player = this.getPlayer(playerId);
         if (!player) return false;
 
-        [player.cards[0], player.cards[1]] = [player.cards[1], player.cards[0]];
+        [player.cards[fromSlot], player.cards[toSlot]] = [player.cards[toSlot], player.cards[fromSlot]];
+        return true;
+    }
+
+    // Move one card to another slot; the cards in between shift by one. Past
+    // the top of the stack the card goes on top, as on the server.
+    reorderCards(playerId, fromSlot, toSlot) {
+        const player = this.getPlayer(playerId);
+        if (!player || !player.cards[fromSlot] || toSlot < 0 || toSlot >= player.cards.length) return false;
+
+        const [card] = player.cards.splice(fromSlot, 1);
+        player.cards.splice(Math.min(toSlot, player.cards.filter(c => c !== null).length), 0, card);
         return true;
     }
 
@@ -163,11 +174,11 @@ export class GameState {
         player.cards[slotIndex] = null;
         player.penalties++;
 
-        return { penalties: player.penalties, gameOver: player.penalties >= 3 };
+        return { penalties: player.penalties, gameOver: player.penalties >= this.settings.penaltyLimit };
     }
 
     checkGameOver() {
-        const loser = this.players.find(p => p.penalties >= 3);
+        const loser = this.players.find(p => p.penalties >= this.settings.penaltyLimit);
         return loser ? loser : null;
     }
 
@@ -0,0 +1,78 @@
+// UI text in the player's language. Each language is a catalogue in
+// src/locales/ keyed by dotted names; English is complete and fills in
+// anything another catalogue leaves out. Placeholders look like {name};
+// an entry can be { one, other, ... } forms, picked by the {count} param.
+// Card names are the ones printed on the cards and stay as they are.
+import en from './locales/en.js';
+import es from './locales/es.js';
+import vi from './locales/vi.js';
+
+// Shown in the picker in each language's own name
+export const LOCALES = { en: 'English', es: 'Español', vi: 'Tiếng Việt' };
+
+const CATALOGUES = { en, es, vi };
+const STORAGE_KEY = 'tnah-locale';
+
+let locale = 'en';
+
+export const getLocale = () => locale;
+
+// The player's earlier choice, else the first browser language we have
+export function detectLocale() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (CATALOGUES[saved]) return saved;
+
+    for (const tag of navigator.languages || [navigator.language]) {
+        const code = String(tag).toLowerCase().split('-')[0];
+        if (CATALOGUES[code]) return code;
+    }
+    return 'en';
+}
+
+// Switch language, remember it, and retranslate the static page
+export function setLocale(code) {
+    locale = CATALOGUES[code] ? code : 'en';
+    localStorage.setItem(STORAGE_KEY, locale);
+    document.documentElement.lang = locale;
+    translatePage(document);
+}
+
+export function hasText(key) {
+    return CATALOGUES[locale][key] !== undefined || en[key] !== undefined;
+}
+
+export function t(key, params = {}) {
+    let text = CATALOGUES[locale][key] ?? en[key];
+    if (text === undefined) return key;
+
+    if (typeof text === 'object') {
+        const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+        text = text[form] ?? text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] === undefined ? placeholder : String(params[name]));
+}
+
+// Server errors arrive as a code and details. A reason picks a more specific
+// message when there is one; directions and setting names are words too.
+export function translateError(code, params = {}) {
+    const words = { ...params };
+    if (params.direction) words.direction = t(`direction.${params.direction}`);
+    if (params.setting) words.setting = t(`settingName.${params.setting}`);
+
+    const key = [`errors.${code}.${params.reason}`, `errors.${code}`].find(hasText) || 'errors.rejected';
+    return t(key, words);
+}
+
+// Static markup names its text with data-i18n (text content) and
+// data-i18n-placeholder / -title / -aria-label (attributes)
+export function translatePage(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    for (const attribute of ['placeholder', 'title', 'aria-label']) {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    }
+}
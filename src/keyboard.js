@@ -0,0 +1,124 @@
+// Keyboard play - the same moves as drag and drop and double tap, for anyone
+// without a mouse or touch screen. Card slots, the deck and the discard pile
+// are focusable (Tab, or the arrow keys between slots).
+//   Enter / Space  on a card: pick it up; holding a card: put it down here
+//                  (another player's seat, your own slot, or the discard pile);
+//                  on the deck: draw
+//   F              turn the focused card over
+//   C              challenge the focused card ("Not a hat!")
+//   D              draw a card
+//   Escape         put the held card back
+import { t } from './i18n.js';
+
+export class KeyboardHandler {
+    constructor(options) {
+        this.container = options.container;
+        this.onDrop = options.onDrop || (() => { });
+        this.onFlip = options.onFlip || (() => { });
+        this.onChallenge = options.onChallenge || (() => { });
+        this.onDraw = options.onDraw || (() => { });
+        this.announce = options.announce || (() => { });
+
+        // Same shape as DragHandler's dragData, so drops share one code path
+        this.held = null;
+
+        this.container.addEventListener('keydown', this.handleKeyDown.bind(this));
+    }
+
+    handleKeyDown(e) {
+        // Typing in chat or a claim is not a move
+        if (e.target.closest('input, textarea, select, button') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const slot = e.target.closest('.card-slot');
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+        switch (key) {
+            case 'Enter':
+            case ' ':
+                if (slot) this.activateSlot(slot);
+                else if (e.target.closest('.penalty-zone')) this.activatePenaltyZone(e.target.closest('.penalty-zone'));
+                else if (e.target.closest('.deck')) this.onDraw();
+                else return;
+                break;
+            case 'f':
+                if (!slot || !slot.classList.contains('occupied')) return;
+                this.onFlip(getPlayerId(slot), getSlotIndex(slot));
+                break;
+            case 'c':
+                if (!slot || slot.querySelector('.challenge-btn.hidden')) return;
+                this.onChallenge(getSlotIndex(slot));
+                break;
+            case 'd':
+                this.onDraw();
+                break;
+            case 'Escape':
+                if (!this.held) return;
+                this.drop(null);
+                this.announce(t('announce.putBack'));
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+            case 'ArrowRight':
+            case 'ArrowDown':
+                if (!slot) return;
+                this.moveFocus(slot, key === 'ArrowRight' || key === 'ArrowDown' ? 1 : -1);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    activateSlot(slot) {
+        const playerId = getPlayerId(slot);
+        const slotIndex = getSlotIndex(slot);
+
+        if (!this.held) {
+            if (!slot.classList.contains('occupied')) return;
+            this.held = { cardId: slot.querySelector('.card').dataset.cardId, fromPlayerId: playerId, fromSlot: slotIndex };
+            slot.classList.add('held');
+            this.announce(t('announce.pickedUp', { card: slot.getAttribute('aria-label') }));
+            return;
+        }
+
+        // Your own stack takes the card at this slot; another seat takes it
+        // in its first empty slot, as with a drop anywhere on their area
+        if (playerId === this.held.fromPlayerId) {
+            this.drop({ type: 'player', playerId, slotIndex, isEmpty: !slot.classList.contains('occupied') });
+            return;
+        }
+        const emptySlot = slot.closest('.player-slot').querySelector('.card-slot:not(.occupied)');
+        if (!emptySlot) {
+            this.announce(t('announce.noEmptySlot'));
+            return;
+        }
+        this.drop({ type: 'player', playerId, slotIndex: getSlotIndex(emptySlot), isEmpty: true });
+    }
+
+    // With a card held the pile is a drop target, otherwise it opens the history
+    activatePenaltyZone(zone) {
+        if (this.held) this.drop({ type: 'penalty' });
+        else zone.click();
+    }
+
+    drop(target) {
+        const held = this.held;
+        this.held = null;
+        this.container.querySelectorAll('.card-slot.held').forEach(el => el.classList.remove('held'));
+        if (target) this.onDrop(held, target);
+    }
+
+    moveFocus(slot, step) {
+        const slots = [...this.container.querySelectorAll('.card-slot')];
+        const next = slots[(slots.indexOf(slot) + step + slots.length) % slots.length];
+        if (next) next.focus();
+    }
+}
+
+function getPlayerId(slot) {
+    return slot.closest('.player-slot').dataset.playerId;
+}
+
+function getSlotIndex(slot) {
+    return Number(slot.dataset.slotIndex);
+}
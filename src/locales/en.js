@@ -0,0 +1,276 @@
+// English - the complete catalogue, and the fallback for every other language
+export default {
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.someone': 'Someone',
+    'common.someoneLower': 'someone',
+    'common.language': 'Language',
+
+    // Lobby
+    'lobby.subtitle': 'Interactive sandbox for 2-8 players',
+    'lobby.createGame': 'Create Game',
+    'lobby.joinGame': 'Join Game',
+    'lobby.watchReplay': 'Watch a Replay',
+    'lobby.createTitle': 'Create New Game',
+    'lobby.joinTitle': 'Join Existing Game',
+    'lobby.yourName': 'Your Name',
+    'lobby.namePlaceholder': 'Enter your name',
+    'lobby.roomCodeInput': 'Room Code (4 letters)',
+    'lobby.createRoom': 'Create Room',
+    'lobby.joinRoom': 'Join Room',
+    'lobby.justWatch': 'Just watch',
+    'lobby.takeSeat': 'Take a seat',
+    'lobby.back': '← Back to menu',
+    'lobby.roomCode': 'Room Code',
+    'lobby.copy': 'Tap to Copy',
+    'lobby.copied': 'Copied!',
+    'lobby.players': 'Players:',
+    'lobby.host': '(Host)',
+    'lobby.bot': '(Bot)',
+    'lobby.removeBot': 'Remove bot',
+    'lobby.startGame': 'Start Game',
+    'lobby.waiting': 'Waiting for host to start...',
+    'lobby.enterName': 'Please enter your name',
+    'lobby.enterCode': 'Please enter 4-letter room code',
+
+    'bots.easy': 'Easy bot',
+    'bots.normal': 'Normal bot',
+    'bots.hard': 'Hard bot',
+    'bots.add': 'Add a bot',
+
+    // House rules
+    'settings.penaltyLimit': 'Penalties to lose',
+    'settings.slotCount': 'Slots per player',
+    'settings.deckSize': 'Cards in the deck',
+    'settings.backColors': 'Back colours set the passing direction',
+    'settings.seed': 'Deal seed (same seed, same deal)',
+    'settings.seedPlaceholder': 'Random',
+    'settings.rulesMode': 'Rules Mode (turns & challenges)',
+    'settings.summaryPenalties': { one: '{count} penalty to lose', other: '{count} penalties to lose' },
+    'settings.summarySlots': { one: '{count} slot', other: '{count} slots' },
+    'settings.summaryCards': { one: '{count} card', other: '{count} cards' },
+    'settings.summaryBackColors': 'black & white backs',
+    'settings.summaryOneBack': 'one back colour',
+    'settings.summaryFixedDeal': 'fixed deal',
+
+    'settingName.penaltyLimit': 'Penalties to lose',
+    'settingName.slotCount': 'Slots per player',
+    'settingName.deckSize': 'Cards in the deck',
+    'settingName.backColors': 'Back colours',
+
+    'match.off': 'Single game',
+    'match.rounds': 'Match: fixed rounds',
+    'match.target': 'Match: play to a score',
+    'match.describeRounds': { one: 'Match of {count} round', other: 'Match of {count} rounds' },
+    'match.describeTarget': { one: 'Match to {count} penalty', other: 'Match to {count} penalties' },
+    'match.round': 'Round {round}',
+
+    'spectators.watching': '{count} watching',
+    'spectators.status': 'Watching',
+    'spectators.statusSeated': 'Watching - seated at the next game',
+
+    'chat.button': 'Chat',
+    'chat.placeholder': 'Say something...',
+    'chat.send': 'Send',
+
+    // Table
+    'table.discard': 'Discard',
+    'table.discardLabel': 'Discard pile - put a held card here, or press Enter to see what was discarded',
+    'table.deck': 'Deck',
+    'table.deckLabel': {
+        one: 'Deck, {count} card. Press Enter or D to draw',
+        other: 'Deck, {count} cards. Press Enter or D to draw'
+    },
+    'table.deckLabelTop': {
+        one: 'Deck, {count} card, {card} on top. Press Enter or D to draw',
+        other: 'Deck, {count} cards, {card} on top. Press Enter or D to draw'
+    },
+    'table.scores': 'Scores',
+    'table.scoresTitle': 'Match scores',
+    'table.undo': 'Undo',
+    'table.undoTitle': 'Undo last action',
+    'table.fullscreen': 'Toggle Fullscreen',
+
+    'seat.bot': 'bot',
+    'seat.disconnected': 'disconnected',
+    'seat.challenge': 'Not a hat!',
+    'slot.yours': 'Your slot {slot}: {contents}',
+    'slot.theirs': "{name}'s slot {slot}: {contents}",
+    'slot.empty': 'empty',
+    'slot.faceDown': 'face-down card',
+    'slot.claim': '{contents}, said to be {claim}',
+    'slot.claimChallenge': '{contents}, said to be {claim} - press C to challenge',
+    'card.faceDown': 'Face-down card',
+
+    'turn.gaveYou': '{name} gave you a card',
+    'turn.deciding': "{receiver} is deciding about {giver}'s gift",
+    'turn.yourPass': 'Pass your card - drag it to the neighbour its back points at',
+    'turn.passing': '{name} is passing a card',
+    'turn.yourDraw': 'Your turn - draw a card',
+    'turn.draw': "{name}'s turn to draw",
+    'turn.nobody': 'No one has a card left to play - the host can restart',
+
+    'claim.title': 'What is it?',
+    'claim.placeholder': 'Or type a name',
+    'claim.submit': 'Pass it',
+    'claim.skip': 'Pass without saying',
+
+    'gift.title': 'A Gift!',
+    'gift.message': '{name} gives you a card and says:',
+    'gift.accept': 'Accept',
+    'gift.challenge': "That's not a hat!",
+
+    'reveal.title': "That's not a hat!",
+    'reveal.announced': 'Announced',
+    'reveal.actually': 'Actually',
+    'reveal.truthful': '{giver} told the truth - {challenger} takes a penalty',
+    'reveal.bluffing': '{giver} was bluffing - {giver} takes a penalty',
+    'reveal.bluffingGone': 'It was a bluff, but the giver has left - nobody takes a penalty',
+
+    'discards.title': 'Discard History',
+    'discards.none': 'No cards discarded yet',
+    'discards.bluff': 'Bluff caught',
+    'discards.wrongChallenge': 'Wrong call',
+
+    'scoreboard.title': 'Scoreboard',
+    'scoreboard.player': 'Player',
+    'scoreboard.penalties': 'Penalties',
+    'scoreboard.roundsLost': 'Rounds lost',
+
+    'gameOver.title': 'Game Over!',
+    'gameOver.lost': { one: '{name} got {count} penalty and lost!', other: '{name} got {count} penalties and lost!' },
+    'gameOver.matchTitle': 'Match Over!',
+    'gameOver.matchWon': '{names} won the match!',
+    'gameOver.and': ' & ',
+    'gameOver.roundTitle': 'Round {round} Over',
+    'gameOver.roundLost': {
+        one: '{name} got {count} penalty and lost the round',
+        other: '{name} got {count} penalties and lost the round'
+    },
+    'gameOver.playAgain': 'Play Again',
+    'gameOver.newMatch': 'New Match',
+    'gameOver.nextRound': 'Next Round',
+    'gameOver.seed': 'Deal seed: {seed}',
+    'gameOver.undo': 'Undo last move',
+    'gameOver.confirm': 'Confirm result',
+    'gameOver.downloadReplay': 'Download replay',
+
+    // Replays
+    'replay.previous': 'Previous step',
+    'replay.playPause': 'Play / pause',
+    'replay.next': 'Next step',
+    'replay.backToMenu': 'Back to the menu',
+    'replay.play': 'Play',
+    'replay.pause': 'Pause',
+    'replay.exit': 'Exit',
+    'replay.badFile': 'That file is not a replay this version can play',
+    'replay.dealt': 'The cards are dealt',
+    'replay.dealtSeed': 'The cards are dealt (seed {seed})',
+    'replay.draw': '{name} drew a card',
+    'replay.flip': '{name} turned a card over',
+    'replay.swap': '{name} swapped their cards',
+    'replay.reorder': '{name} rearranged their cards',
+    'replay.took': '{name} took a card from {from}',
+    'replay.gave': '{name} gave {to} a card',
+    'replay.gaveClaim': '{name} gave {to} a card: "{claim}"',
+    'replay.accept': '{name} accepted the card',
+    'replay.bluffCaught': '{name} said "That\'s not a hat!" - it was a {card}, {giver} was bluffing',
+    'replay.wrongChallenge': '{name} said "That\'s not a hat!" - but it was true, {name} takes the penalty',
+    'replay.bluffGone': '{name} said "That\'s not a hat!" - it was a bluff, but the giver had left',
+    'replay.discard': '{name} put a card in the penalty pile',
+    'replay.undo': '{name} took back the last move',
+
+    // Screen reader announcements; the "you" forms are for your own moves
+    'announce.joined': '{name} joined',
+    'announce.left': '{name} left',
+    'announce.started': 'The game has started',
+    'announce.shuffled': 'New game - the deck has been shuffled',
+    'announce.drew': '{name} drew {card}',
+    'announce.you.drew': 'You drew {card}',
+    'announce.faceDownCard': 'a face-down card',
+    'announce.passed': '{from} passed a card to {to}',
+    'announce.passedToYou': '{from} passed a card to you',
+    'announce.you.passed': 'You passed a card to {to}',
+    'announce.saying': 'They say it is {claim}',
+    'announce.accepted': '{name} accepted the card from {from}',
+    'announce.you.accepted': 'You accepted the card from {from}',
+    'announce.flippedDown': '{name} turned a card face down',
+    'announce.you.flippedDown': 'You turned a card face down',
+    'announce.flippedUp': '{name} turned over {card}',
+    'announce.you.flippedUp': 'You turned over {card}',
+    'announce.discarded': {
+        one: '{name} discarded a card - {count} penalty',
+        other: '{name} discarded a card - {count} penalties'
+    },
+    'announce.you.discarded': {
+        one: 'You discarded a card - {count} penalty',
+        other: 'You discarded a card - {count} penalties'
+    },
+    'announce.revealed': 'It was {card}.',
+    'announce.pickedUp': 'Picked up {card}. Choose where to put it and press Enter, or Escape to cancel',
+    'announce.putBack': 'Card put back',
+    'announce.noEmptySlot': 'No empty slot there',
+
+    'connection.connecting': 'Connecting...',
+    'connection.connected': 'Connected',
+    'connection.reconnecting': 'Reconnecting...',
+    'connection.offline': 'Offline',
+    'connection.lost': 'Connection lost - reconnecting...',
+    'connection.restored': 'Reconnected',
+    'connection.failed': 'Could not reach the game server - still trying',
+
+    'direction.left': 'left',
+    'direction.right': 'right',
+
+    // Server error codes
+    'errors.rejected': 'That is not allowed right now',
+    'errors.invalidMessage': 'The server could not read that',
+    'errors.unknownAction': 'Unknown action',
+    'errors.protocolMismatch': 'The game has been updated - please reload the page',
+    'errors.notSeated': 'Join the game first',
+    'errors.alreadySeated': 'You already have a seat',
+    'errors.notHost': 'Only the host can do that',
+    'errors.gameInProgress': 'The game has already started',
+    'errors.gameNotStarted': 'The game has not started',
+    'errors.gameOver': 'The game is over',
+    'errors.rulesMode': 'Not allowed in Rules Mode',
+    'errors.notRulesMode': 'Only available in Rules Mode',
+    'errors.notYourCard': 'You can only do that with your own cards',
+    'errors.invalidSlot': 'No such slot',
+    'errors.emptySlot': 'There is no card there',
+    'errors.unknownPlayer': 'That player is not at the table',
+    'errors.slotTaken': 'That slot is already taken',
+    'errors.notABot': 'That seat is not a bot',
+    'errors.roomFull': 'Room is full',
+    'errors.nameRequired': 'Enter a name to take a seat',
+    'errors.rateLimited': 'Slow down - too many messages',
+    'errors.notEnoughPlayers': 'Need at least 2 players',
+    'errors.botsNeedRules': 'Bots only play in Rules Mode',
+    'errors.noEmptySlot': 'No empty slot!',
+    'errors.nothingToUndo': 'Nothing to undo',
+    'errors.nothingToConfirm': 'There is no result to confirm',
+    'errors.notYourAction': "Only the host can undo someone else's move",
+    'errors.undoExpired': 'Too late to undo - ask the host',
+    'errors.replayUnavailable': 'The replay is available once the game is over',
+    'errors.invalidSettings': '{setting} cannot be set to that',
+    'errors.invalidSettings.range': '{setting} must be between {min} and {max}',
+    'errors.invalidSettings.step': '{setting} must be a multiple of {step}',
+    'errors.invalidSettings.rulesModeSlots': 'Rules Mode needs at least 2 slots',
+    'errors.invalidMatch': 'Unknown match type',
+    'errors.invalidMatch.range': 'Choose between {min} and {max}',
+    'errors.notYourTurn': 'Not your turn',
+    'errors.alreadyDrew': 'You already drew a card',
+    'errors.deckEmpty': 'The deck is empty',
+    'errors.drawFirst': 'Draw a card first',
+    'errors.passOldest': 'You must pass your oldest card',
+    'errors.passAccepted': 'You must pass on the card you accepted',
+    'errors.noCardToPass': 'No card to pass',
+    'errors.claimRequired': 'Say what the card is',
+    'errors.wrongDirection': 'This card goes to the {direction}',
+    'errors.noGiftToAccept': 'No gift to accept',
+    'errors.noGiftToChallenge': 'No gift to challenge',
+    'errors.notTheGift': 'You can only challenge the card you were just given',
+    'errors.noCardToChallenge': 'No card to challenge',
+    'errors.notAGift': 'Only a card you were given can be challenged',
+    'errors.nothingAnnounced': 'Nothing was announced for this card'
+};
@@ -0,0 +1,276 @@
+// Español
+export default {
+    'common.close': 'Cerrar',
+    'common.cancel': 'Cancelar',
+    'common.someone': 'Alguien',
+    'common.someoneLower': 'alguien',
+    'common.language': 'Idioma',
+
+    // Sala
+    'lobby.subtitle': 'Mesa interactiva para 2-8 jugadores',
+    'lobby.createGame': 'Crear partida',
+    'lobby.joinGame': 'Unirse a una partida',
+    'lobby.watchReplay': 'Ver una repetición',
+    'lobby.createTitle': 'Crear partida nueva',
+    'lobby.joinTitle': 'Unirse a una partida',
+    'lobby.yourName': 'Tu nombre',
+    'lobby.namePlaceholder': 'Escribe tu nombre',
+    'lobby.roomCodeInput': 'Código de sala (4 letras)',
+    'lobby.createRoom': 'Crear sala',
+    'lobby.joinRoom': 'Entrar',
+    'lobby.justWatch': 'Solo mirar',
+    'lobby.takeSeat': 'Sentarse',
+    'lobby.back': '← Volver al menú',
+    'lobby.roomCode': 'Código de sala',
+    'lobby.copy': 'Toca para copiar',
+    'lobby.copied': '¡Copiado!',
+    'lobby.players': 'Jugadores:',
+    'lobby.host': '(Anfitrión)',
+    'lobby.bot': '(Bot)',
+    'lobby.removeBot': 'Quitar bot',
+    'lobby.startGame': 'Empezar',
+    'lobby.waiting': 'Esperando a que el anfitrión empiece...',
+    'lobby.enterName': 'Escribe tu nombre',
+    'lobby.enterCode': 'Escribe el código de sala de 4 letras',
+
+    'bots.easy': 'Bot fácil',
+    'bots.normal': 'Bot normal',
+    'bots.hard': 'Bot difícil',
+    'bots.add': 'Añadir un bot',
+
+    // Reglas de la casa
+    'settings.penaltyLimit': 'Penalizaciones para perder',
+    'settings.slotCount': 'Huecos por jugador',
+    'settings.deckSize': 'Cartas en el mazo',
+    'settings.backColors': 'El color del dorso marca el sentido del pase',
+    'settings.seed': 'Semilla del reparto (misma semilla, mismo reparto)',
+    'settings.seedPlaceholder': 'Aleatoria',
+    'settings.rulesMode': 'Modo reglas (turnos y desafíos)',
+    'settings.summaryPenalties': { one: 'se pierde con {count} penalización', other: 'se pierde con {count} penalizaciones' },
+    'settings.summarySlots': { one: '{count} hueco', other: '{count} huecos' },
+    'settings.summaryCards': { one: '{count} carta', other: '{count} cartas' },
+    'settings.summaryBackColors': 'dorsos blancos y negros',
+    'settings.summaryOneBack': 'un solo color de dorso',
+    'settings.summaryFixedDeal': 'reparto fijo',
+
+    'settingName.penaltyLimit': 'Penalizaciones para perder',
+    'settingName.slotCount': 'Huecos por jugador',
+    'settingName.deckSize': 'Cartas en el mazo',
+    'settingName.backColors': 'Colores del dorso',
+
+    'match.off': 'Partida única',
+    'match.rounds': 'Torneo: rondas fijas',
+    'match.target': 'Torneo: hasta una puntuación',
+    'match.describeRounds': { one: 'Torneo de {count} ronda', other: 'Torneo de {count} rondas' },
+    'match.describeTarget': { one: 'Torneo hasta {count} penalización', other: 'Torneo hasta {count} penalizaciones' },
+    'match.round': 'Ronda {round}',
+
+    'spectators.watching': '{count} mirando',
+    'spectators.status': 'Mirando',
+    'spectators.statusSeated': 'Mirando - te sentarás en la próxima partida',
+
+    'chat.button': 'Chat',
+    'chat.placeholder': 'Di algo...',
+    'chat.send': 'Enviar',
+
+    // Mesa
+    'table.discard': 'Descartes',
+    'table.discardLabel': 'Pila de descartes - suelta aquí una carta, o pulsa Intro para ver lo descartado',
+    'table.deck': 'Mazo',
+    'table.deckLabel': {
+        one: 'Mazo, {count} carta. Pulsa Intro o D para robar',
+        other: 'Mazo, {count} cartas. Pulsa Intro o D para robar'
+    },
+    'table.deckLabelTop': {
+        one: 'Mazo, {count} carta, {card} encima. Pulsa Intro o D para robar',
+        other: 'Mazo, {count} cartas, {card} encima. Pulsa Intro o D para robar'
+    },
+    'table.scores': 'Puntos',
+    'table.scoresTitle': 'Puntuación del torneo',
+    'table.undo': 'Deshacer',
+    'table.undoTitle': 'Deshacer la última acción',
+    'table.fullscreen': 'Pantalla completa',
+
+    'seat.bot': 'bot',
+    'seat.disconnected': 'desconectado',
+    'seat.challenge': '¡No es un sombrero!',
+    'slot.yours': 'Tu hueco {slot}: {contents}',
+    'slot.theirs': 'Hueco {slot} de {name}: {contents}',
+    'slot.empty': 'vacío',
+    'slot.faceDown': 'carta boca abajo',
+    'slot.claim': '{contents}, dicen que es {claim}',
+    'slot.claimChallenge': '{contents}, dicen que es {claim} - pulsa C para desafiar',
+    'card.faceDown': 'Carta boca abajo',
+
+    'turn.gaveYou': '{name} te ha dado una carta',
+    'turn.deciding': '{receiver} está decidiendo sobre el regalo de {giver}',
+    'turn.yourPass': 'Pasa tu carta - arrástrala al vecino que señala su dorso',
+    'turn.passing': '{name} está pasando una carta',
+    'turn.yourDraw': 'Tu turno - roba una carta',
+    'turn.draw': 'Turno de {name} para robar',
+    'turn.nobody': 'A nadie le quedan cartas para jugar - el anfitrión puede reiniciar',
+
+    'claim.title': '¿Qué es?',
+    'claim.placeholder': 'O escribe un nombre',
+    'claim.submit': 'Pasarla',
+    'claim.skip': 'Pasar sin decir nada',
+
+    'gift.title': '¡Un regalo!',
+    'gift.message': '{name} te da una carta y dice:',
+    'gift.accept': 'Aceptar',
+    'gift.challenge': '¡Eso no es un sombrero!',
+
+    'reveal.title': '¡Eso no es un sombrero!',
+    'reveal.announced': 'Anunciado',
+    'reveal.actually': 'En realidad',
+    'reveal.truthful': '{giver} decía la verdad - {challenger} recibe una penalización',
+    'reveal.bluffing': '{giver} mentía - {giver} recibe una penalización',
+    'reveal.bluffingGone': 'Era mentira, pero quien la dio se ha ido - nadie recibe penalización',
+
+    'discards.title': 'Historial de descartes',
+    'discards.none': 'Aún no se ha descartado nada',
+    'discards.bluff': 'Farol descubierto',
+    'discards.wrongChallenge': 'Desafío fallido',
+
+    'scoreboard.title': 'Marcador',
+    'scoreboard.player': 'Jugador',
+    'scoreboard.penalties': 'Penalizaciones',
+    'scoreboard.roundsLost': 'Rondas perdidas',
+
+    'gameOver.title': '¡Fin de la partida!',
+    'gameOver.lost': { one: '¡{name} llegó a {count} penalización y perdió!', other: '¡{name} llegó a {count} penalizaciones y perdió!' },
+    'gameOver.matchTitle': '¡Fin del torneo!',
+    'gameOver.matchWon': '¡{names} ganó el torneo!',
+    'gameOver.and': ' y ',
+    'gameOver.roundTitle': 'Fin de la ronda {round}',
+    'gameOver.roundLost': {
+        one: '{name} llegó a {count} penalización y perdió la ronda',
+        other: '{name} llegó a {count} penalizaciones y perdió la ronda'
+    },
+    'gameOver.playAgain': 'Jugar otra vez',
+    'gameOver.newMatch': 'Nuevo torneo',
+    'gameOver.nextRound': 'Siguiente ronda',
+    'gameOver.seed': 'Semilla del reparto: {seed}',
+    'gameOver.undo': 'Deshacer el último movimiento',
+    'gameOver.confirm': 'Confirmar resultado',
+    'gameOver.downloadReplay': 'Descargar repetición',
+
+    // Repeticiones
+    'replay.previous': 'Paso anterior',
+    'replay.playPause': 'Reproducir / pausar',
+    'replay.next': 'Paso siguiente',
+    'replay.backToMenu': 'Volver al menú',
+    'replay.play': 'Reproducir',
+    'replay.pause': 'Pausa',
+    'replay.exit': 'Salir',
+    'replay.badFile': 'Ese archivo no es una repetición que esta versión pueda reproducir',
+    'replay.dealt': 'Se reparten las cartas',
+    'replay.dealtSeed': 'Se reparten las cartas (semilla {seed})',
+    'replay.draw': '{name} robó una carta',
+    'replay.flip': '{name} dio la vuelta a una carta',
+    'replay.swap': '{name} intercambió sus cartas',
+    'replay.reorder': '{name} reordenó sus cartas',
+    'replay.took': '{name} cogió una carta de {from}',
+    'replay.gave': '{name} le dio una carta a {to}',
+    'replay.gaveClaim': '{name} le dio una carta a {to}: "{claim}"',
+    'replay.accept': '{name} aceptó la carta',
+    'replay.bluffCaught': '{name} dijo "¡Eso no es un sombrero!" - era {card}, {giver} mentía',
+    'replay.wrongChallenge': '{name} dijo "¡Eso no es un sombrero!" - pero era verdad, {name} recibe la penalización',
+    'replay.bluffGone': '{name} dijo "¡Eso no es un sombrero!" - era mentira, pero quien la dio se había ido',
+    'replay.discard': '{name} puso una carta en la pila de penalizaciones',
+    'replay.undo': '{name} deshizo el último movimiento',
+
+    // Avisos para lectores de pantalla
+    'announce.joined': '{name} se ha unido',
+    'announce.left': '{name} se ha ido',
+    'announce.started': 'La partida ha empezado',
+    'announce.shuffled': 'Nueva partida - se ha barajado el mazo',
+    'announce.drew': '{name} robó {card}',
+    'announce.you.drew': 'Robaste {card}',
+    'announce.faceDownCard': 'una carta boca abajo',
+    'announce.passed': '{from} le pasó una carta a {to}',
+    'announce.passedToYou': '{from} te pasó una carta',
+    'announce.you.passed': 'Le pasaste una carta a {to}',
+    'announce.saying': 'Dice que es {claim}',
+    'announce.accepted': '{name} aceptó la carta de {from}',
+    'announce.you.accepted': 'Aceptaste la carta de {from}',
+    'announce.flippedDown': '{name} puso una carta boca abajo',
+    'announce.you.flippedDown': 'Pusiste una carta boca abajo',
+    'announce.flippedUp': '{name} dio la vuelta a {card}',
+    'announce.you.flippedUp': 'Diste la vuelta a {card}',
+    'announce.discarded': {
+        one: '{name} descartó una carta - {count} penalización',
+        other: '{name} descartó una carta - {count} penalizaciones'
+    },
+    'announce.you.discarded': {
+        one: 'Descartaste una carta - {count} penalización',
+        other: 'Descartaste una carta - {count} penalizaciones'
+    },
+    'announce.revealed': 'Era {card}.',
+    'announce.pickedUp': 'Has cogido {card}. Elige dónde ponerla y pulsa Intro, o Escape para cancelar',
+    'announce.putBack': 'Carta devuelta',
+    'announce.noEmptySlot': 'No hay ningún hueco libre ahí',
+
+    'connection.connecting': 'Conectando...',
+    'connection.connected': 'Conectado',
+    'connection.reconnecting': 'Reconectando...',
+    'connection.offline': 'Sin conexión',
+    'connection.lost': 'Se perdió la conexión - reconectando...',
+    'connection.restored': 'Reconectado',
+    'connection.failed': 'No se pudo contactar con el servidor - seguimos intentándolo',
+
+    'direction.left': 'izquierda',
+    'direction.right': 'derecha',
+
+    // Códigos de error del servidor
+    'errors.rejected': 'Ahora no se puede hacer eso',
+    'errors.invalidMessage': 'El servidor no ha entendido eso',
+    'errors.unknownAction': 'Acción desconocida',
+    'errors.protocolMismatch': 'El juego se ha actualizado - recarga la página',
+    'errors.notSeated': 'Únete a la partida primero',
+    'errors.alreadySeated': 'Ya tienes un asiento',
+    'errors.notHost': 'Solo el anfitrión puede hacer eso',
+    'errors.gameInProgress': 'La partida ya ha empezado',
+    'errors.gameNotStarted': 'La partida no ha empezado',
+    'errors.gameOver': 'La partida ha terminado',
+    'errors.rulesMode': 'No se permite en el modo reglas',
+    'errors.notRulesMode': 'Solo disponible en el modo reglas',
+    'errors.notYourCard': 'Solo puedes hacer eso con tus propias cartas',
+    'errors.invalidSlot': 'Ese hueco no existe',
+    'errors.emptySlot': 'Ahí no hay ninguna carta',
+    'errors.unknownPlayer': 'Ese jugador no está en la mesa',
+    'errors.slotTaken': 'Ese hueco ya está ocupado',
+    'errors.notABot': 'Ese asiento no es un bot',
+    'errors.roomFull': 'La sala está llena',
+    'errors.nameRequired': 'Escribe un nombre para sentarte',
+    'errors.rateLimited': 'Más despacio - demasiados mensajes',
+    'errors.notEnoughPlayers': 'Hacen falta al menos 2 jugadores',
+    'errors.botsNeedRules': 'Los bots solo juegan en el modo reglas',
+    'errors.noEmptySlot': '¡No hay ningún hueco libre!',
+    'errors.nothingToUndo': 'No hay nada que deshacer',
+    'errors.nothingToConfirm': 'No hay ningún resultado que confirmar',
+    'errors.notYourAction': 'Solo el anfitrión puede deshacer el movimiento de otro',
+    'errors.undoExpired': 'Demasiado tarde para deshacer - pídeselo al anfitrión',
+    'errors.replayUnavailable': 'La repetición está disponible cuando termina la partida',
+    'errors.invalidSettings': '{setting} no admite ese valor',
+    'errors.invalidSettings.range': '{setting} debe estar entre {min} y {max}',
+    'errors.invalidSettings.step': '{setting} debe ser múltiplo de {step}',
+    'errors.invalidSettings.rulesModeSlots': 'El modo reglas necesita al menos 2 huecos',
+    'errors.invalidMatch': 'Tipo de torneo desconocido',
+    'errors.invalidMatch.range': 'Elige entre {min} y {max}',
+    'errors.notYourTurn': 'No es tu turno',
+    'errors.alreadyDrew': 'Ya has robado una carta',
+    'errors.deckEmpty': 'El mazo está vacío',
+    'errors.drawFirst': 'Roba una carta primero',
+    'errors.passOldest': 'Tienes que pasar tu carta más antigua',
+    'errors.passAccepted': 'Tienes que pasar la carta que aceptaste',
+    'errors.noCardToPass': 'No hay ninguna carta que pasar',
+    'errors.claimRequired': 'Di qué es la carta',
+    'errors.wrongDirection': 'Esta carta va hacia la {direction}',
+    'errors.noGiftToAccept': 'No hay ningún regalo que aceptar',
+    'errors.noGiftToChallenge': 'No hay ningún regalo que desafiar',
+    'errors.notTheGift': 'Solo puedes desafiar la carta que te acaban de dar',
+    'errors.noCardToChallenge': 'No hay ninguna carta que desafiar',
+    'errors.notAGift': 'Solo se puede desafiar una carta que te han dado',
+    'errors.nothingAnnounced': 'No se anunció nada para esta carta'
+};
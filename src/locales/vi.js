@@ -0,0 +1,261 @@
+// Tiếng Việt - no plural forms, so counted entries are plain strings
+export default {
+    'common.close': 'Đóng',
+    'common.cancel': 'Huỷ',
+    'common.someone': 'Ai đó',
+    'common.someoneLower': 'ai đó',
+    'common.language': 'Ngôn ngữ',
+
+    // Phòng chờ
+    'lobby.subtitle': 'Bàn chơi tương tác cho 2-8 người',
+    'lobby.createGame': 'Tạo ván',
+    'lobby.joinGame': 'Vào ván',
+    'lobby.watchReplay': 'Xem lại ván đấu',
+    'lobby.createTitle': 'Tạo ván mới',
+    'lobby.joinTitle': 'Vào ván có sẵn',
+    'lobby.yourName': 'Tên của bạn',
+    'lobby.namePlaceholder': 'Nhập tên của bạn',
+    'lobby.roomCodeInput': 'Mã phòng (4 chữ cái)',
+    'lobby.createRoom': 'Tạo phòng',
+    'lobby.joinRoom': 'Vào phòng',
+    'lobby.justWatch': 'Chỉ xem',
+    'lobby.takeSeat': 'Ngồi vào bàn',
+    'lobby.back': '← Quay lại menu',
+    'lobby.roomCode': 'Mã phòng',
+    'lobby.copy': 'Chạm để sao chép',
+    'lobby.copied': 'Đã sao chép!',
+    'lobby.players': 'Người chơi:',
+    'lobby.host': '(Chủ phòng)',
+    'lobby.bot': '(Máy)',
+    'lobby.removeBot': 'Bỏ máy',
+    'lobby.startGame': 'Bắt đầu',
+    'lobby.waiting': 'Đang chờ chủ phòng bắt đầu...',
+    'lobby.enterName': 'Vui lòng nhập tên của bạn',
+    'lobby.enterCode': 'Vui lòng nhập mã phòng 4 chữ cái',
+
+    'bots.easy': 'Máy dễ',
+    'bots.normal': 'Máy thường',
+    'bots.hard': 'Máy khó',
+    'bots.add': 'Thêm máy',
+
+    // Luật riêng
+    'settings.penaltyLimit': 'Số phạt thì thua',
+    'settings.slotCount': 'Số ô mỗi người',
+    'settings.deckSize': 'Số lá trong bộ bài',
+    'settings.backColors': 'Màu mặt sau quyết định hướng chuyền',
+    'settings.seed': 'Mã chia bài (cùng mã, cùng cách chia)',
+    'settings.seedPlaceholder': 'Ngẫu nhiên',
+    'settings.rulesMode': 'Chế độ luật (lượt & thách)',
+    'settings.summaryPenalties': '{count} phạt thì thua',
+    'settings.summarySlots': '{count} ô',
+    'settings.summaryCards': '{count} lá',
+    'settings.summaryBackColors': 'mặt sau đen & trắng',
+    'settings.summaryOneBack': 'một màu mặt sau',
+    'settings.summaryFixedDeal': 'chia cố định',
+
+    'settingName.penaltyLimit': 'Số phạt thì thua',
+    'settingName.slotCount': 'Số ô mỗi người',
+    'settingName.deckSize': 'Số lá trong bộ bài',
+    'settingName.backColors': 'Màu mặt sau',
+
+    'match.off': 'Một ván',
+    'match.rounds': 'Trận: số vòng cố định',
+    'match.target': 'Trận: chơi đến một số điểm',
+    'match.describeRounds': 'Trận {count} vòng',
+    'match.describeTarget': 'Trận đến {count} phạt',
+    'match.round': 'Vòng {round}',
+
+    'spectators.watching': '{count} người đang xem',
+    'spectators.status': 'Đang xem',
+    'spectators.statusSeated': 'Đang xem - sẽ vào bàn ở ván sau',
+
+    'chat.button': 'Trò chuyện',
+    'chat.placeholder': 'Nói gì đó...',
+    'chat.send': 'Gửi',
+
+    // Bàn chơi
+    'table.discard': 'Bỏ bài',
+    'table.discardLabel': 'Chồng bài bỏ - đặt lá đang cầm vào đây, hoặc nhấn Enter để xem các lá đã bỏ',
+    'table.deck': 'Bộ bài',
+    'table.deckLabel': 'Bộ bài, {count} lá. Nhấn Enter hoặc D để rút',
+    'table.deckLabelTop': 'Bộ bài, {count} lá, trên cùng là {card}. Nhấn Enter hoặc D để rút',
+    'table.scores': 'Điểm',
+    'table.scoresTitle': 'Điểm của trận',
+    'table.undo': 'Hoàn tác',
+    'table.undoTitle': 'Hoàn tác bước vừa rồi',
+    'table.fullscreen': 'Toàn màn hình',
+
+    'seat.bot': 'máy',
+    'seat.disconnected': 'mất kết nối',
+    'seat.challenge': 'Không phải mũ!',
+    'slot.yours': 'Ô {slot} của bạn: {contents}',
+    'slot.theirs': 'Ô {slot} của {name}: {contents}',
+    'slot.empty': 'trống',
+    'slot.faceDown': 'lá úp',
+    'slot.claim': '{contents}, được nói là {claim}',
+    'slot.claimChallenge': '{contents}, được nói là {claim} - nhấn C để thách',
+    'card.faceDown': 'Lá bài úp',
+
+    'turn.gaveYou': '{name} đưa bạn một lá bài',
+    'turn.deciding': '{receiver} đang quyết định về món quà của {giver}',
+    'turn.yourPass': 'Chuyền lá bài - kéo nó sang người mà mặt sau chỉ tới',
+    'turn.passing': '{name} đang chuyền bài',
+    'turn.yourDraw': 'Lượt của bạn - hãy rút một lá',
+    'turn.draw': 'Lượt rút bài của {name}',
+    'turn.nobody': 'Không ai còn bài để chơi - chủ phòng có thể chơi lại',
+
+    'claim.title': 'Đây là gì?',
+    'claim.placeholder': 'Hoặc nhập một tên',
+    'claim.submit': 'Chuyền đi',
+    'claim.skip': 'Chuyền mà không nói',
+
+    'gift.title': 'Một món quà!',
+    'gift.message': '{name} đưa bạn một lá bài và nói:',
+    'gift.accept': 'Nhận',
+    'gift.challenge': 'Đó không phải mũ!',
+
+    'reveal.title': 'Đó không phải mũ!',
+    'reveal.announced': 'Đã nói',
+    'reveal.actually': 'Thực ra',
+    'reveal.truthful': '{giver} nói thật - {challenger} bị phạt',
+    'reveal.bluffing': '{giver} nói dối - {giver} bị phạt',
+    'reveal.bluffingGone': 'Đó là nói dối, nhưng người đưa đã rời đi - không ai bị phạt',
+
+    'discards.title': 'Lịch sử bỏ bài',
+    'discards.none': 'Chưa có lá nào bị bỏ',
+    'discards.bluff': 'Bị bắt nói dối',
+    'discards.wrongChallenge': 'Thách sai',
+
+    'scoreboard.title': 'Bảng điểm',
+    'scoreboard.player': 'Người chơi',
+    'scoreboard.penalties': 'Phạt',
+    'scoreboard.roundsLost': 'Vòng thua',
+
+    'gameOver.title': 'Hết ván!',
+    'gameOver.lost': '{name} bị {count} phạt và thua!',
+    'gameOver.matchTitle': 'Hết trận!',
+    'gameOver.matchWon': '{names} thắng trận!',
+    'gameOver.and': ' & ',
+    'gameOver.roundTitle': 'Hết vòng {round}',
+    'gameOver.roundLost': '{name} bị {count} phạt và thua vòng này',
+    'gameOver.playAgain': 'Chơi lại',
+    'gameOver.newMatch': 'Trận mới',
+    'gameOver.nextRound': 'Vòng tiếp',
+    'gameOver.seed': 'Mã chia bài: {seed}',
+    'gameOver.undo': 'Hoàn tác nước vừa rồi',
+    'gameOver.confirm': 'Xác nhận kết quả',
+    'gameOver.downloadReplay': 'Tải bản xem lại',
+
+    // Xem lại
+    'replay.previous': 'Bước trước',
+    'replay.playPause': 'Phát / tạm dừng',
+    'replay.next': 'Bước sau',
+    'replay.backToMenu': 'Quay lại menu',
+    'replay.play': 'Phát',
+    'replay.pause': 'Dừng',
+    'replay.exit': 'Thoát',
+    'replay.badFile': 'Tệp này không phải bản xem lại mà phiên bản này phát được',
+    'replay.dealt': 'Chia bài',
+    'replay.dealtSeed': 'Chia bài (mã {seed})',
+    'replay.draw': '{name} rút một lá',
+    'replay.flip': '{name} lật một lá',
+    'replay.swap': '{name} đổi chỗ các lá của mình',
+    'replay.reorder': '{name} sắp xếp lại các lá của mình',
+    'replay.took': '{name} lấy một lá từ {from}',
+    'replay.gave': '{name} đưa {to} một lá',
+    'replay.gaveClaim': '{name} đưa {to} một lá: "{claim}"',
+    'replay.accept': '{name} nhận lá bài',
+    'replay.bluffCaught': '{name} nói "Đó không phải mũ!" - đó là {card}, {giver} nói dối',
+    'replay.wrongChallenge': '{name} nói "Đó không phải mũ!" - nhưng đó là sự thật, {name} bị phạt',
+    'replay.bluffGone': '{name} nói "Đó không phải mũ!" - đó là nói dối, nhưng người đưa đã rời đi',
+    'replay.discard': '{name} bỏ một lá vào chồng phạt',
+    'replay.undo': '{name} hoàn tác nước vừa rồi',
+
+    // Thông báo cho trình đọc màn hình
+    'announce.joined': '{name} đã vào',
+    'announce.left': '{name} đã rời đi',
+    'announce.started': 'Ván đã bắt đầu',
+    'announce.shuffled': 'Ván mới - bộ bài đã được xào',
+    'announce.drew': '{name} rút được {card}',
+    'announce.you.drew': 'Bạn rút được {card}',
+    'announce.faceDownCard': 'một lá úp',
+    'announce.passed': '{from} chuyền một lá cho {to}',
+    'announce.passedToYou': '{from} chuyền một lá cho bạn',
+    'announce.you.passed': 'Bạn chuyền một lá cho {to}',
+    'announce.saying': 'Họ nói đó là {claim}',
+    'announce.accepted': '{name} nhận lá bài của {from}',
+    'announce.you.accepted': 'Bạn nhận lá bài của {from}',
+    'announce.flippedDown': '{name} úp một lá',
+    'announce.you.flippedDown': 'Bạn úp một lá',
+    'announce.flippedUp': '{name} lật lên {card}',
+    'announce.you.flippedUp': 'Bạn lật lên {card}',
+    'announce.discarded': '{name} bỏ một lá - {count} phạt',
+    'announce.you.discarded': 'Bạn bỏ một lá - {count} phạt',
+    'announce.revealed': 'Đó là {card}.',
+    'announce.pickedUp': 'Đã cầm {card}. Chọn chỗ đặt rồi nhấn Enter, hoặc Escape để huỷ',
+    'announce.putBack': 'Đã đặt lá bài lại',
+    'announce.noEmptySlot': 'Ở đó không còn ô trống',
+
+    'connection.connecting': 'Đang kết nối...',
+    'connection.connected': 'Đã kết nối',
+    'connection.reconnecting': 'Đang kết nối lại...',
+    'connection.offline': 'Ngoại tuyến',
+    'connection.lost': 'Mất kết nối - đang kết nối lại...',
+    'connection.restored': 'Đã kết nối lại',
+    'connection.failed': 'Không liên lạc được máy chủ - vẫn đang thử',
+
+    'direction.left': 'trái',
+    'direction.right': 'phải',
+
+    // Mã lỗi từ máy chủ
+    'errors.rejected': 'Lúc này không làm vậy được',
+    'errors.invalidMessage': 'Máy chủ không đọc được yêu cầu',
+    'errors.unknownAction': 'Hành động không xác định',
+    'errors.protocolMismatch': 'Trò chơi đã được cập nhật - vui lòng tải lại trang',
+    'errors.notSeated': 'Hãy vào ván trước',
+    'errors.alreadySeated': 'Bạn đã có chỗ ngồi',
+    'errors.notHost': 'Chỉ chủ phòng mới làm được',
+    'errors.gameInProgress': 'Ván đã bắt đầu',
+    'errors.gameNotStarted': 'Ván chưa bắt đầu',
+    'errors.gameOver': 'Ván đã kết thúc',
+    'errors.rulesMode': 'Không được phép trong chế độ luật',
+    'errors.notRulesMode': 'Chỉ có trong chế độ luật',
+    'errors.notYourCard': 'Bạn chỉ làm được với bài của mình',
+    'errors.invalidSlot': 'Không có ô này',
+    'errors.emptySlot': 'Ở đó không có lá nào',
+    'errors.unknownPlayer': 'Người chơi đó không ở bàn',
+    'errors.slotTaken': 'Ô đó đã có bài',
+    'errors.notABot': 'Chỗ đó không phải máy',
+    'errors.roomFull': 'Phòng đã đầy',
+    'errors.nameRequired': 'Nhập tên để ngồi vào bàn',
+    'errors.rateLimited': 'Chậm lại - quá nhiều tin nhắn',
+    'errors.notEnoughPlayers': 'Cần ít nhất 2 người chơi',
+    'errors.botsNeedRules': 'Máy chỉ chơi trong chế độ luật',
+    'errors.noEmptySlot': 'Không còn ô trống!',
+    'errors.nothingToUndo': 'Không có gì để hoàn tác',
+    'errors.nothingToConfirm': 'Không có kết quả nào để xác nhận',
+    'errors.notYourAction': 'Chỉ chủ phòng mới hoàn tác được nước của người khác',
+    'errors.undoExpired': 'Quá muộn để hoàn tác - hãy nhờ chủ phòng',
+    'errors.replayUnavailable': 'Bản xem lại có sau khi ván kết thúc',
+    'errors.invalidSettings': 'Không thể đặt {setting} như vậy',
+    'errors.invalidSettings.range': '{setting} phải từ {min} đến {max}',
+    'errors.invalidSettings.step': '{setting} phải là bội số của {step}',
+    'errors.invalidSettings.rulesModeSlots': 'Chế độ luật cần ít nhất 2 ô',
+    'errors.invalidMatch': 'Kiểu trận không xác định',
+    'errors.invalidMatch.range': 'Chọn từ {min} đến {max}',
+    'errors.notYourTurn': 'Chưa đến lượt bạn',
+    'errors.alreadyDrew': 'Bạn đã rút bài rồi',
+    'errors.deckEmpty': 'Bộ bài đã hết',
+    'errors.drawFirst': 'Hãy rút bài trước',
+    'errors.passOldest': 'Bạn phải chuyền lá cũ nhất',
+    'errors.passAccepted': 'Bạn phải chuyền lá vừa nhận',
+    'errors.noCardToPass': 'Không có lá nào để chuyền',
+    'errors.claimRequired': 'Hãy nói lá bài là gì',
+    'errors.wrongDirection': 'Lá này phải chuyền sang {direction}',
+    'errors.noGiftToAccept': 'Không có quà để nhận',
+    'errors.noGiftToChallenge': 'Không có quà để thách',
+    'errors.notTheGift': 'Bạn chỉ thách được lá vừa được đưa',
+    'errors.noCardToChallenge': 'Không có lá nào để thách',
+    'errors.notAGift': 'Chỉ thách được lá bài người khác đưa cho bạn',
+    'errors.nothingAnnounced': 'Lá này không được nói là gì'
+};
@@ -1,8 +1,26 @@
 // Main entry point for That's Not a Hat - Interactive Sandbox Mode
-import { GameState, generateRoomCode } from './game.js';
-import { renderPlayers } from './player.js';
+import { GameState, generateRoomCode, getPlayerToken } from './game.js';
+import { getCardName, getCardImage, findCardIdByName, ITEM_NAME_LIST, MAX_CLAIM_LENGTH } from '../shared/catalogue.js';
+import {
+    clientMessages,
+    parseServerMessage,
+    UNDO_WINDOW_MS,
+    REACTIONS,
+    CHAT_HISTORY_LIMIT
+} from '../shared/protocol.js';
+import { getStandings, getMatchWinners, currentRound } from '../shared/match.js';
+import { DEFAULT_SETTINGS, SETTING_LIMITS, isGameOver } from '../shared/settings.js';
+import { renderPlayers, updatePlayer } from './player.js';
+import {
+    getSlotRects, animateCardReorder, findSlotCard, findCard, snapshotCard,
+    animateCardFrom, animateCardDiscard, animateShuffle
+} from './table.js';
+import { ReplayViewer } from './replay.js';
 import { createCard, setupFlipHandler } from './card.js';
 import { DragHandler } from './drag.js';
+import { KeyboardHandler } from './keyboard.js';
+import { Toasts } from './toast.js';
+import { t, translateError, setLocale, detectLocale, getLocale, LOCALES } from './i18n.js';
 import PartySocket from 'partysocket';
 
 // Use deployed PartyKit server
@@ -11,22 +29,44 @@ const PARTYKIT_HOST = 'tnah.kennyphan123.partykit.dev';
 // App State
 const state = {
     socket: null,
+    connection: 'connecting', // connecting, connected, reconnecting or offline
     playerId: null,
     playerName: '',
     roomCode: '',
     isHost: false,
+    spectating: false, // Watching without a seat
+    wantsSeat: false, // Spectator asked for the next free seat
+    spectatorCount: 0,
     gameState: new GameState(),
     dragHandler: null,
+    keyboardHandler: null,
     discardHistory: [], // Track discarded cards
-    hardMode: false,
-    slotCount: 2
+    rulesMode: false, // Server-enforced turns and challenges
+    rules: null, // Turn state from the server (rules mode only)
+    match: null, // Match settings and finished rounds (shared/match.js)
+    seed: null, // Seed of the deal, once the server reveals it at game over
+    hasFixedSeed: false, // The host chose the seed for every deal
+    chat: [], // Recent chat messages, oldest first
+    chatUnread: 0, // Arrived while the game chat was closed
+    version: null, // Server state version we are in sync with
+    syncPending: false, // Waiting for a full snapshot after a missed event
+    undo: null, // Last action the server can take back ({ playerId, action })
+    undoUntil: 0, // When our own take-back window closes
+    undoTimer: null,
+    replayViewer: null, // Set while watching a replay instead of playing
+    replayStep: 0,
+    replayTimer: null
 };
 
+// Time between steps when a replay plays by itself
+const REPLAY_STEP_MS = 1200;
+
 // DOM Elements
 const elements = {
     lobby: document.getElementById('lobby'),
     game: document.getElementById('game'),
     mainMenu: document.getElementById('mainMenu'),
+    languagePicker: document.getElementById('languagePicker'),
     showCreate: document.getElementById('showCreate'),
     showJoin: document.getElementById('showJoin'),
     createForm: document.getElementById('createForm'),
@@ -36,34 +76,127 @@ const elements = {
     roomCode: document.getElementById('roomCode'),
     createRoom: document.getElementById('createRoom'),
     joinRoom: document.getElementById('joinRoom'),
+    watchRoom: document.getElementById('watchRoom'),
+    spectatorInfo: document.getElementById('spectatorInfo'),
+    lobbyTakeSeat: document.getElementById('lobbyTakeSeat'),
+    spectatorBar: document.getElementById('spectatorBar'),
+    spectatorText: document.getElementById('spectatorText'),
+    takeSeat: document.getElementById('takeSeat'),
     roomInfo: document.getElementById('roomInfo'),
     displayRoomCode: document.getElementById('displayRoomCode'),
     playerCount: document.getElementById('playerCount'),
     playerList: document.getElementById('playerList'),
+    chatPanels: [...document.querySelectorAll('[data-chat]')],
+    chatBtn: document.getElementById('chatBtn'),
+    chatUnread: document.getElementById('chatUnread'),
+    gameChat: document.getElementById('gameChat'),
+    reactionBar: document.getElementById('reactionBar'),
+    botControls: document.getElementById('botControls'),
+    botLevel: document.getElementById('botLevel'),
+    addBot: document.getElementById('addBot'),
     startGame: document.getElementById('startGame'),
     waitingText: document.querySelector('.waiting-text'),
     gameTable: document.getElementById('gameTable'),
     deck: document.getElementById('deck'),
     playersContainer: document.getElementById('playersContainer'),
     penaltyZone: document.getElementById('penaltyZone'),
+    announcer: document.getElementById('announcer'),
+    toasts: document.getElementById('toasts'),
+    connectionStatus: document.getElementById('connectionStatus'),
     gameOverModal: document.getElementById('gameOverModal'),
+    gameOverTitle: document.getElementById('gameOverTitle'),
     gameOverMessage: document.getElementById('gameOverMessage'),
+    gameOverSeed: document.getElementById('gameOverSeed'),
+    matchStandings: document.getElementById('matchStandings'),
+    matchSettings: document.getElementById('matchSettings'),
+    matchMode: document.getElementById('matchMode'),
+    matchGoal: document.getElementById('matchGoal'),
+    matchInfo: document.getElementById('matchInfo'),
+    scoreboardBtn: document.getElementById('scoreboardBtn'),
+    scoreboardModal: document.getElementById('scoreboardModal'),
+    scoreboardContent: document.getElementById('scoreboardContent'),
     playAgain: document.getElementById('playAgain'),
-    hardModeToggle: document.getElementById('hardModeToggle'),
-    hardModeCheckbox: document.getElementById('hardModeCheckbox')
+    houseRules: document.getElementById('houseRules'),
+    settingsInfo: document.getElementById('settingsInfo'),
+    settingSeed: document.getElementById('settingSeed'),
+    settingInputs: {
+        penaltyLimit: document.getElementById('settingPenaltyLimit'),
+        slotCount: document.getElementById('settingSlotCount'),
+        deckSize: document.getElementById('settingDeckSize'),
+        backColors: document.getElementById('settingBackColors')
+    },
+    rulesModeToggle: document.getElementById('rulesModeToggle'),
+    rulesModeCheckbox: document.getElementById('rulesModeCheckbox'),
+    turnIndicator: document.getElementById('turnIndicator'),
+    undoBtn: document.getElementById('undoBtn'),
+    undoGameOver: document.getElementById('undoGameOver'),
+    downloadReplay: document.getElementById('downloadReplay'),
+    confirmResult: document.getElementById('confirmResult'),
+    watchReplay: document.getElementById('watchReplay'),
+    replayFile: document.getElementById('replayFile'),
+    replayControls: document.getElementById('replayControls'),
+    replayPrev: document.getElementById('replayPrev'),
+    replayPlay: document.getElementById('replayPlay'),
+    replayNext: document.getElementById('replayNext'),
+    replayStep: document.getElementById('replayStep'),
+    replayExit: document.getElementById('replayExit'),
+    giftModal: document.getElementById('giftModal'),
+    giftMessage: document.getElementById('giftMessage'),
+    acceptGift: document.getElementById('acceptGift'),
+    challengeGift: document.getElementById('challengeGift'),
+    revealModal: document.getElementById('revealModal'),
+    revealClaim: document.getElementById('revealClaim'),
+    revealClaimName: document.getElementById('revealClaimName'),
+    revealCard: document.getElementById('revealCard'),
+    revealCardName: document.getElementById('revealCardName'),
+    revealMessage: document.getElementById('revealMessage'),
+    closeReveal: document.getElementById('closeReveal')
 };
 
+const toasts = new Toasts(elements.toasts);
+
 function init() {
+    setupLanguagePicker();
     setupLobbyHandlers();
     setupGameHandlers();
 
+    // The browser knows before the socket does; back online, retry right away
+    window.addEventListener('offline', () => setConnection('offline'));
+    window.addEventListener('online', () => {
+        if (!state.socket || state.connection === 'connected') return;
+        setConnection('reconnecting');
+        state.socket.reconnect();
+    });
+
     window.addEventListener('resize', () => {
-        if (state.gameState.gameStarted) {
+        if (state.replayViewer) {
+            showReplayStep(state.replayStep);
+        } else if (state.gameState.gameStarted) {
             renderGame();
         }
     });
 }
 
+// === LANGUAGE ===
+function setupLanguagePicker() {
+    setLocale(detectLocale());
+    const picker = elements.languagePicker;
+    picker.innerHTML = Object.entries(LOCALES)
+        .map(([code, name]) => `<option value="${code}">${name}</option>`)
+        .join('');
+    picker.value = getLocale();
+
+    // Static text follows setLocale; what we render ourselves is redrawn
+    picker.addEventListener('change', () => {
+        setLocale(picker.value);
+        if (state.socket) {
+            updatePlayerList();
+            renderSpectators();
+            setConnection(state.connection);
+        }
+    });
+}
+
 // === LOBBY ===
 function setupLobbyHandlers() {
     // Show Create form
@@ -82,7 +215,7 @@ function setupLobbyHandlers() {
     elements.createRoom.addEventListener('click', () => {
         const name = elements.createName.value.trim();
         if (!name) {
-            alert('Please enter your name');
+            toasts.warn(t('lobby.enterName'));
             return;
         }
         state.playerName = name;
@@ -91,27 +224,20 @@ function setupLobbyHandlers() {
         connectToRoom();
     });
 
-    // Join Room
-    elements.joinRoom.addEventListener('click', () => {
-        const name = elements.joinName.value.trim();
-        const code = elements.roomCode.value.trim().toUpperCase();
-        if (!name) {
-            alert('Please enter your name');
-            return;
-        }
-        if (!code || code.length !== 4) {
-            alert('Please enter 4-letter room code');
-            return;
-        }
-        state.playerName = name;
-        state.roomCode = code;
-        state.isHost = false;
-        connectToRoom();
+    // Join Room, or watch it without taking a seat
+    elements.joinRoom.addEventListener('click', () => joinFromForm(false));
+    elements.watchRoom?.addEventListener('click', () => joinFromForm(true));
+
+    // Spectators: ask for (or give up) a seat at the next reset
+    [elements.takeSeat, elements.lobbyTakeSeat].forEach(button => {
+        button?.addEventListener('click', () => {
+            send(clientMessages.spectate(state.playerName, getPlayerToken(), !state.wantsSeat));
+        });
     });
 
     elements.startGame.addEventListener('click', () => {
-        if (state.socket && state.isHost) {
-            state.socket.send(JSON.stringify({ type: 'start' }));
+        if (state.isHost) {
+            send(clientMessages.start());
         }
     });
 
@@ -129,15 +255,102 @@ function setupLobbyHandlers() {
     // Copy button
     document.getElementById('copyCodeBtn')?.addEventListener('click', copyRoomCode);
 
-    // Hard mode toggle (host only)
-    elements.hardModeCheckbox?.addEventListener('change', (e) => {
-        if (state.socket && state.isHost) {
-            state.socket.send(JSON.stringify({
-                type: 'toggleHardMode',
-                enabled: e.target.checked
-            }));
+    // House rules (host only) - the inputs take their ranges from shared/settings.js
+    for (const [key, input] of Object.entries(elements.settingInputs)) {
+        const limits = SETTING_LIMITS[key];
+        if (limits) {
+            input.min = limits.min;
+            input.max = limits.max;
+            input.step = limits.step || 1;
         }
+        input.addEventListener('change', () => {
+            if (!state.isHost) return;
+            const value = input.type === 'checkbox' ? input.checked : Number(input.value);
+            send(clientMessages.updateSettings({ [key]: value }));
+        });
+    }
+
+    // Deal seed (host only) - the host's own input is the only place it shows
+    elements.settingSeed?.addEventListener('change', () => {
+        if (state.isHost) send(clientMessages.setSeed(elements.settingSeed.value.trim()));
+    });
+
+    // Rules mode toggle (host only)
+    elements.rulesModeCheckbox?.addEventListener('change', (e) => {
+        if (state.isHost) {
+            send(clientMessages.toggleRulesMode(e.target.checked));
+        }
+    });
+
+    // Match settings (host only) - a new type starts from its usual length
+    elements.matchMode?.addEventListener('change', () => {
+        elements.matchGoal.value = MATCH_DEFAULT_GOALS[elements.matchMode.value] || '';
+        sendMatchSettings();
+    });
+    elements.matchGoal?.addEventListener('change', sendMatchSettings);
+
+    // Chat: every panel sends, the game one opens and closes
+    for (const panel of elements.chatPanels) {
+        const form = panel.querySelector('.chat-form');
+        const input = panel.querySelector('.chat-input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (!text) return;
+            send(clientMessages.chat(text));
+            input.value = '';
+        });
+    }
+    elements.chatBtn.addEventListener('click', () => {
+        elements.gameChat.classList.toggle('hidden');
+        state.chatUnread = 0;
+        renderChat();
     });
+
+    elements.reactionBar.innerHTML = REACTIONS
+        .map(reaction => `<button class="reaction-btn" data-reaction="${reaction}">${reaction}</button>`)
+        .join('');
+    elements.reactionBar.addEventListener('click', (e) => {
+        const button = e.target.closest('.reaction-btn');
+        if (button) send(clientMessages.react(button.dataset.reaction));
+    });
+
+    // Bots (host only) - added by level, removed from their tag
+    elements.addBot?.addEventListener('click', () => {
+        if (state.isHost) send(clientMessages.addBot(elements.botLevel.value));
+    });
+    elements.playerList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.remove-bot');
+        if (removeBtn && state.isHost) send(clientMessages.removeBot(removeBtn.dataset.botId));
+    });
+}
+
+function joinFromForm(spectate) {
+    const name = elements.joinName.value.trim();
+    const code = elements.roomCode.value.trim().toUpperCase();
+    if (!name) {
+        toasts.warn(t('lobby.enterName'));
+        return;
+    }
+    if (!code || code.length !== 4) {
+        toasts.warn(t('lobby.enterCode'));
+        return;
+    }
+    state.playerName = name;
+    state.roomCode = code;
+    state.isHost = false;
+    state.spectating = spectate;
+    state.wantsSeat = false;
+    connectToRoom();
+}
+
+// Usual match lengths: rounds to play, or the score that ends the match
+const MATCH_DEFAULT_GOALS = { rounds: 3, target: 10 };
+
+function sendMatchSettings() {
+    if (!state.isHost) return;
+    const mode = elements.matchMode.value;
+    send(clientMessages.setMatch(mode, mode === 'off' ? undefined : Number(elements.matchGoal.value)));
 }
 
 // Copy room code to clipboard
@@ -146,9 +359,9 @@ function copyRoomCode() {
     const copyBtn = document.getElementById('copyCodeBtn');
 
     navigator.clipboard.writeText(code).then(() => {
-        copyBtn.textContent = 'Copied!';
+        copyBtn.textContent = t('lobby.copied');
         setTimeout(() => {
-            copyBtn.textContent = 'Tap to Copy';
+            copyBtn.textContent = t('lobby.copy');
         }, 2000);
     }).catch(() => {
         // Fallback: select and copy
@@ -158,9 +371,9 @@ function copyRoomCode() {
         textArea.select();
         document.execCommand('copy');
         document.body.removeChild(textArea);
-        copyBtn.textContent = 'Copied!';
+        copyBtn.textContent = t('lobby.copied');
         setTimeout(() => {
-            copyBtn.textContent = 'Tap to Copy';
+            copyBtn.textContent = t('lobby.copy');
         }, 2000);
     });
 }
@@ -170,30 +383,39 @@ function connectToRoom() {
         host: PARTYKIT_HOST,
         room: state.roomCode
     });
+    setConnection('connecting');
 
+    // Sent on every (re)connect so the server can rebind our seat
     state.socket.addEventListener('open', () => {
-        state.playerId = state.socket.id;
-        state.socket.send(JSON.stringify({
-            type: 'join',
-            name: state.playerName
-        }));
+        if (state.connection !== 'connecting') toasts.info(t('connection.restored'));
+        setConnection('connected');
+        send(state.spectating
+            ? clientMessages.spectate(state.playerName, getPlayerToken(), state.wantsSeat)
+            : clientMessages.join(state.playerName, getPlayerToken()));
         showRoomInfo();
 
         // Start heartbeat ping every 30 seconds to keep connection alive
         if (state.pingInterval) clearInterval(state.pingInterval);
         state.pingInterval = setInterval(() => {
             if (state.socket && state.socket.readyState === WebSocket.OPEN) {
-                state.socket.send(JSON.stringify({ type: 'ping' }));
+                send(clientMessages.ping());
             }
         }, 30000);
     });
 
     state.socket.addEventListener('message', (event) => {
-        handleServerMessage(JSON.parse(event.data));
+        const data = parseServerMessage(event.data);
+        if (data && isInSequence(data)) {
+            handleServerMessage(data);
+            // Any change that isn't a table action closes the undo window
+            if (data.version !== undefined) setUndo(data);
+        }
     });
 
     state.socket.addEventListener('error', (error) => {
         console.error('Connection error:', error);
+        // Later errors come with a close, which says we are reconnecting
+        if (state.connection === 'connecting') toasts.error(t('connection.failed'));
     });
 
     state.socket.addEventListener('close', () => {
@@ -202,13 +424,21 @@ function connectToRoom() {
             clearInterval(state.pingInterval);
             state.pingInterval = null;
         }
-        // PartySocket will auto-reconnect, only show alert if game has started
-        if (state.gameState.gameStarted) {
-            console.log('Connection lost, attempting to reconnect...');
-        }
+        // PartySocket reconnects by itself - say so once, not on every retry
+        if (state.connection === 'connected') toasts.warn(t('connection.lost'));
+        if (state.connection !== 'connecting') setConnection(navigator.onLine === false ? 'offline' : 'reconnecting');
     });
 }
 
+// The dot in the corner of the table: connected, reconnecting or offline
+function setConnection(connection) {
+    state.connection = connection;
+    const indicator = elements.connectionStatus;
+    indicator.dataset.state = connection;
+    indicator.querySelector('.connection-label').textContent = t(`connection.${connection}`);
+    indicator.classList.toggle('hidden', !state.socket);
+}
+
 function showRoomInfo() {
     elements.displayRoomCode.textContent = state.roomCode;
     elements.roomInfo.classList.remove('hidden');
@@ -222,20 +452,83 @@ function updatePlayerList() {
     const players = state.gameState.players;
     elements.playerCount.textContent = players.length;
     elements.playerList.innerHTML = players
-        .map(p => `<span class="player-tag${p.id === state.gameState.hostId ? ' host' : ''}">${p.name}${p.id === state.gameState.hostId ? ' (Host)' : ''}</span>`)
+        .map(p => `<span class="player-tag${p.id === state.gameState.hostId ? ' host' : ''}${p.connected === false ? ' disconnected' : ''}${p.isBot ? ' bot' : ''}">${escapeHtml(p.name)}${p.id === state.gameState.hostId ? ` ${t('lobby.host')}` : ''}${p.isBot ? ` ${t('lobby.bot')}` : ''}${p.isBot && state.isHost ? `<button class="remove-bot" data-bot-id="${p.id}" title="${t('lobby.removeBot')}">&times;</button>` : ''}</span>`)
         .join('');
+    elements.botControls.classList.toggle('hidden', !state.isHost || players.length >= 8);
 
     // Show start button and hard mode toggle for host if enough players (minimum 2)
     if (state.isHost && players.length >= 2) {
         elements.startGame.classList.remove('hidden');
-        elements.hardModeToggle.classList.remove('hidden');
+        elements.houseRules.classList.remove('hidden');
+        elements.rulesModeToggle.classList.remove('hidden');
+        elements.matchSettings.classList.remove('hidden');
         elements.waitingText.classList.add('hidden');
     } else if (state.isHost) {
-        elements.hardModeToggle.classList.remove('hidden');
+        elements.houseRules.classList.remove('hidden');
+        elements.rulesModeToggle.classList.remove('hidden');
+        elements.matchSettings.classList.remove('hidden');
     } else if (!state.isHost) {
         elements.waitingText.classList.remove('hidden');
-        elements.hardModeToggle.classList.add('hidden');
+        elements.houseRules.classList.add('hidden');
+        elements.rulesModeToggle.classList.add('hidden');
+        elements.matchSettings.classList.add('hidden');
     }
+    renderMatchSettings();
+    renderSettings();
+}
+
+// House rules as the server has them - editable for the host, a summary for everyone
+function renderSettings() {
+    const settings = state.gameState.settings;
+    for (const [key, input] of Object.entries(elements.settingInputs)) {
+        if (input.type === 'checkbox') {
+            input.checked = settings[key];
+        } else {
+            input.value = settings[key];
+        }
+    }
+
+    elements.settingsInfo.textContent = [
+        t('settings.summaryPenalties', { count: settings.penaltyLimit }),
+        t('settings.summarySlots', { count: settings.slotCount }),
+        t('settings.summaryCards', { count: settings.deckSize }),
+        t(settings.backColors ? 'settings.summaryBackColors' : 'settings.summaryOneBack'),
+        state.hasFixedSeed ? t('settings.summaryFixedDeal') : null
+    ].filter(Boolean).join(' · ');
+}
+
+// "Match of 3 rounds" / "Match to 10 penalties" / "Single game"
+function describeMatch(match) {
+    if (!match) return t('match.off');
+    return t(match.mode === 'rounds' ? 'match.describeRounds' : 'match.describeTarget', { count: match.goal });
+}
+
+// What the host chose, for everyone in the lobby
+function renderMatchSettings() {
+    const match = state.match;
+    elements.matchMode.value = match ? match.mode : 'off';
+    elements.matchGoal.classList.toggle('hidden', !match);
+    if (match) elements.matchGoal.value = match.goal;
+    elements.matchInfo.textContent = describeMatch(match);
+}
+
+// How many are watching, in the lobby and at the table. Spectators also see
+// whether they have asked for a seat at the next game.
+function renderSpectators() {
+    const count = state.spectatorCount;
+    const watching = count > 0 ? t('spectators.watching', { count }) : '';
+
+    elements.spectatorInfo.textContent = watching;
+    elements.spectatorInfo.classList.toggle('hidden', count === 0);
+
+    const status = t(state.wantsSeat ? 'spectators.statusSeated' : 'spectators.status');
+    elements.spectatorText.textContent = state.spectating ? `${status} · ${watching}` : watching;
+    elements.spectatorBar.classList.toggle('hidden', !state.spectating && count === 0);
+
+    [elements.takeSeat, elements.lobbyTakeSeat].forEach(button => {
+        button.textContent = t(state.wantsSeat ? 'lobby.justWatch' : 'lobby.takeSeat');
+        button.classList.toggle('hidden', !state.spectating);
+    });
 }
 
 // === SERVER MESSAGES ===
@@ -244,25 +537,77 @@ function handleServerMessage(data) {
 
     switch (data.type) {
         case 'state':
-            state.gameState.players = data.state.players || [];
-            state.gameState.deck = data.state.deck || [];
-            state.gameState.hostId = data.state.hostId;
-            state.gameState.gameStarted = data.state.gameStarted;
-            if (data.state.gameStarted) {
+            applySnapshot(data.state);
+            break;
+
+        case 'joined':
+            state.playerId = data.playerId;
+            state.isHost = state.gameState.hostId === data.playerId;
+            state.spectating = false;
+            state.wantsSeat = false;
+            renderSpectators();
+            renderChat();
+            if (state.gameState.gameStarted) {
                 startGame();
+            } else {
+                updatePlayerList();
             }
             break;
 
+        case 'spectating':
+            state.spectating = true;
+            state.wantsSeat = data.wantsSeat;
+            renderSpectators();
+            if (state.gameState.gameStarted) {
+                startGame();
+            } else {
+                updatePlayerList();
+            }
+            break;
+
+        case 'spectators':
+            state.spectatorCount = data.spectatorCount;
+            renderSpectators();
+            break;
+
+        case 'chatHistory':
+            state.chat = data.messages;
+            renderChat();
+            break;
+
+        case 'chat':
+            state.chat = [...state.chat, data.message].slice(-CHAT_HISTORY_LIMIT);
+            if (elements.gameChat.classList.contains('hidden')) state.chatUnread++;
+            renderChat();
+            break;
+
+        case 'reaction':
+            showReaction(data.playerId, data.reaction);
+            break;
+
         case 'playerJoined':
+            announce(t('announce.joined', { name: data.player.name }));
             state.gameState.players = data.players;
             state.gameState.hostId = data.hostId;
             if (data.hostId === state.playerId) {
                 state.isHost = true;
             }
             updatePlayerList();
+            if (state.gameState.gameStarted) {
+                renderGame();
+            }
+            break;
+
+        case 'playerDisconnected':
+            state.gameState.players = data.players;
+            updatePlayerList();
+            if (state.gameState.gameStarted) {
+                renderGame();
+            }
             break;
 
         case 'playerLeft':
+            announce(t('announce.left', { name: getPlayerName(data.playerId) }));
             state.gameState.players = data.players;
             if (data.hostId === state.playerId) {
                 state.isHost = true;
@@ -274,12 +619,16 @@ function handleServerMessage(data) {
             break;
 
         case 'gameStarted':
-            state.gameState.deck = data.deck;
+            state.gameState.deckCount = data.deckCount;
+            state.gameState.topCard = data.topCard;
             state.gameState.players = data.players;
             state.gameState.gameStarted = true;
-            state.hardMode = data.hardMode || false;
-            state.slotCount = data.slotCount || 2;
+            state.gameState.settings = data.settings;
+            state.rulesMode = data.rulesMode || false;
+            state.rules = data.rules || null;
+            state.match = data.match || null;
             startGame();
+            announce(t('announce.started'));
             break;
 
         case 'cardDrawn':
@@ -291,67 +640,310 @@ function handleServerMessage(data) {
             break;
 
         case 'cardMoved':
-            state.gameState.players = data.players;
-            renderGame();
+            handleCardMoved(data);
             break;
 
         case 'cardsSwapped':
             handleCardsSwapped(data);
             break;
+        case 'cardsReordered':
+            handleCardsReordered(data);
+            break;
 
         case 'cardDiscarded':
             handleCardDiscarded(data);
             break;
 
         case 'gameReset':
-            state.gameState.deck = data.deck;
+            state.gameState.deckCount = data.deckCount;
+            state.gameState.topCard = data.topCard;
             state.gameState.players = data.players;
             state.discardHistory = data.discardHistory || [];
-            state.hardMode = data.hardMode || false;
-            state.slotCount = data.slotCount || 2;
+            state.gameState.settings = data.settings;
+            state.rulesMode = data.rulesMode || false;
+            state.rules = data.rules || null;
+            state.match = data.match || null;
+            state.seed = null;
             elements.gameOverModal.classList.add('hidden');
+            elements.giftModal.classList.add('hidden');
+            elements.revealModal.classList.add('hidden');
             renderGame();
+            animateShuffle(elements.deck);
+            announce(t('announce.shuffled'));
             break;
 
-        case 'hardModeChanged':
-            state.hardMode = data.hardMode;
-            state.slotCount = data.slotCount;
+        case 'settingsChanged':
+            state.gameState.settings = data.settings;
             state.gameState.players = data.players;
-            // Update checkbox state
-            if (elements.hardModeCheckbox) {
-                elements.hardModeCheckbox.checked = data.hardMode;
+            renderSettings();
+            break;
+
+        case 'matchChanged':
+            state.match = data.match;
+            renderMatchSettings();
+            break;
+
+        case 'seedChanged':
+            state.hasFixedSeed = data.hasFixedSeed;
+            renderSettings();
+            break;
+
+        case 'rulesModeChanged':
+            state.rulesMode = data.rulesMode;
+            if (elements.rulesModeCheckbox) {
+                elements.rulesModeCheckbox.checked = data.rulesMode;
             }
             break;
 
+        case 'giftPassed':
+            handleGiftPassed(data);
+            break;
+
+        case 'giftAccepted':
+            state.rules = data.rules;
+            renderGame();
+            announceMove(data.playerId, 'accepted', { from: getPlayerName(data.fromPlayerId) });
+            break;
+
+        case 'challengeResolved':
+            handleChallengeResolved(data);
+            break;
+
+        case 'actionUndone':
+            handleActionUndone(data);
+            break;
+
+        case 'resultConfirmed':
+            state.seed = data.seed;
+            renderResult();
+            break;
+
+        case 'replay':
+            downloadReplay(data.replay);
+            break;
+
         case 'error':
-            alert(data.message);
+            // Too late or too full to sit down - watch and take the next free seat
+            if (!state.playerId && !state.spectating && (data.code === 'gameInProgress' || data.code === 'roomFull')) {
+                state.spectating = true;
+                send(clientMessages.spectate(state.playerName, getPlayerToken(), true));
+                break;
+            }
+            toasts.error(translateError(data.code, data.params));
             break;
     }
 }
 
+// Chat in every panel; only seated players can write. The game screen keeps
+// a count of what arrived while its panel was closed.
+function renderChat() {
+    for (const panel of elements.chatPanels) {
+        const log = panel.querySelector('.chat-log');
+        log.innerHTML = state.chat
+            .map(m => `<p class="chat-line"><strong>${escapeHtml(m.name)}</strong> ${escapeHtml(m.text)}</p>`)
+            .join('');
+        log.scrollTop = log.scrollHeight;
+        panel.querySelector('.chat-form').classList.toggle('hidden', !state.playerId);
+    }
+
+    elements.reactionBar.classList.toggle('hidden', !state.playerId);
+    elements.chatUnread.textContent = state.chatUnread;
+    elements.chatUnread.classList.toggle('hidden', state.chatUnread === 0);
+}
+
+// A reaction floats up from the sender's seat and fades
+function showReaction(playerId, reaction) {
+    const seat = elements.playersContainer.querySelector(`[data-player-id="${playerId}"]`);
+    if (!seat) return;
+
+    const bubble = document.createElement('span');
+    bubble.className = 'reaction-float';
+    bubble.textContent = reaction;
+    bubble.addEventListener('animationend', () => bubble.remove());
+    seat.appendChild(bubble);
+}
+
+// Events carry the state version they produced. Anything older than what we
+// have is a duplicate; a jump means we missed one, so ask for a full snapshot.
+function isInSequence(data) {
+    if (data.type === 'state' || data.version === undefined) return true;
+    if (state.syncPending) return false; // The snapshot will include it
+
+    if (state.version !== null && data.version <= state.version) return false;
+    if (state.version !== null && data.version > state.version + 1) {
+        state.syncPending = true;
+        send(clientMessages.sync());
+        return false;
+    }
+
+    state.version = data.version;
+    return true;
+}
+
+// Rebuild everything from a server snapshot (on connect, reconnect or resync)
+function applySnapshot(snapshot) {
+    state.version = snapshot.version;
+    state.syncPending = false;
+    state.undo = null;
+
+    state.gameState.players = snapshot.players || [];
+    state.gameState.deckCount = snapshot.deckCount || 0;
+    state.gameState.topCard = snapshot.topCard || null;
+    state.gameState.hostId = snapshot.hostId;
+    state.gameState.gameStarted = snapshot.gameStarted;
+    state.discardHistory = snapshot.discardHistory || [];
+    state.gameState.settings = snapshot.settings || { ...DEFAULT_SETTINGS };
+    state.rulesMode = snapshot.rulesMode || false;
+    state.rules = snapshot.rules || null;
+    state.match = snapshot.match || null;
+    state.seed = snapshot.seed || null;
+    state.hasFixedSeed = snapshot.hasFixedSeed || false;
+    state.isHost = state.playerId !== null && snapshot.hostId === state.playerId;
+    state.spectatorCount = snapshot.spectatorCount || 0;
+    renderSpectators();
+
+    renderSettings();
+    if (elements.rulesModeCheckbox) elements.rulesModeCheckbox.checked = state.rulesMode;
+
+    // Only show the table once the server has given us a seat (or a spectator's view)
+    if (!state.playerId && !state.spectating) return;
+    if (!snapshot.gameStarted) {
+        updatePlayerList();
+        return;
+    }
+
+    startGame();
+
+    // A gift may have arrived while we were away
+    const gift = state.rules && state.rules.pendingGift;
+    if (gift && gift.toPlayerId === state.playerId) {
+        showGiftModal(gift.fromPlayerId, gift.claim);
+    } else {
+        elements.giftModal.classList.add('hidden');
+    }
+
+    const loser = state.gameState.players.find(p => p.penalties >= state.gameState.settings.penaltyLimit);
+    if (loser) {
+        showGameOver(loser.name);
+    } else {
+        elements.gameOverModal.classList.add('hidden');
+    }
+}
+
 // === GAME ===
 function startGame() {
     elements.lobby.classList.remove('active');
     elements.game.classList.add('active');
-    state.gameState.currentPlayerId = state.playerId;
+    state.gameState.currentPlayerId = state.playerId; // Spectators see the table from no seat
 
-    setupDragHandler();
+    if (state.playerId) setupDragHandler();
     renderGame();
 }
 
 function setupDragHandler() {
+    // Reconnecting to a restored game calls startGame again
+    if (state.dragHandler) return;
+
     state.dragHandler = new DragHandler({
         container: elements.gameTable,
         onDrop: handleDrop
     });
+    state.keyboardHandler = new KeyboardHandler({
+        container: elements.gameTable,
+        onDrop: handleDrop,
+        onFlip: handleFlipCard,
+        onChallenge: sendChallenge,
+        onDraw: drawCard,
+        announce
+    });
 }
 
 function renderGame() {
     renderDeck();
     renderPlayers(state.gameState, elements.playersContainer, {
         onFlip: handleFlipCard,
-        slotCount: state.slotCount
+        onChallenge: sendChallenge,
+        slotCount: state.gameState.settings.slotCount
     });
+    renderTurnIndicator();
+    elements.scoreboardBtn.classList.toggle('hidden', !state.match);
+}
+
+function getPlayerName(playerId) {
+    const player = state.gameState.getPlayer(playerId);
+    return player ? player.name : t('common.someone');
+}
+
+// Announce a move: "announce.you.<key>" when it was yours, else
+// "announce.<key>" with the player's name
+function announceMove(playerId, key, params = {}) {
+    const yours = playerId === state.playerId;
+    announce(t(yours ? `announce.you.${key}` : `announce.${key}`, { name: getPlayerName(playerId), ...params }));
+}
+
+// Who passed to whom, from your point of view, and what they said it is
+function announcePass(fromPlayerId, toPlayerId, claim) {
+    let text;
+    if (fromPlayerId === state.playerId) {
+        text = t('announce.you.passed', { to: getPlayerName(toPlayerId) });
+    } else if (toPlayerId === state.playerId) {
+        text = t('announce.passedToYou', { from: getPlayerName(fromPlayerId) });
+    } else {
+        text = t('announce.passed', { from: getPlayerName(fromPlayerId), to: getPlayerName(toPlayerId) });
+    }
+    announce(claim ? `${text}. ${t('announce.saying', { claim })}` : text);
+}
+
+// A card as the table can see it
+function describeCard(card) {
+    return card.isFlipped ? t('announce.faceDownCard') : getCardName(card.id);
+}
+
+// Tell screen readers what just happened at the table. Messages from one
+// event are read together; clearing first makes the live region repeat a
+// message that is the same as the last one.
+let announcements = [];
+function announce(text) {
+    if (announcements.length === 0) {
+        elements.announcer.textContent = '';
+        requestAnimationFrame(() => {
+            elements.announcer.textContent = announcements.join(' ');
+            announcements = [];
+        });
+    }
+    announcements.push(text);
+}
+
+// Rules mode: show whose turn it is and what they have to do
+function renderTurnIndicator() {
+    const indicator = elements.turnIndicator;
+    const rules = state.rules;
+    if (!state.rulesMode || !rules) {
+        indicator.classList.add('hidden');
+        return;
+    }
+
+    const isMyTurn = rules.turnPlayerId === state.playerId;
+    const gift = rules.pendingGift;
+    let text;
+
+    if (rules.phase === 'respond' && gift) {
+        text = gift.toPlayerId === state.playerId
+            ? t('turn.gaveYou', { name: getPlayerName(gift.fromPlayerId) })
+            : t('turn.deciding', { receiver: getPlayerName(gift.toPlayerId), giver: getPlayerName(gift.fromPlayerId) });
+    } else if (!rules.turnPlayerId) {
+        text = t('turn.nobody');
+    } else if (rules.phase === 'pass') {
+        text = isMyTurn
+            ? t('turn.yourPass')
+            : t('turn.passing', { name: getPlayerName(rules.turnPlayerId) });
+    } else {
+        text = isMyTurn ? t('turn.yourDraw') : t('turn.draw', { name: getPlayerName(rules.turnPlayerId) });
+    }
+
+    indicator.textContent = text;
+    indicator.classList.toggle('your-turn', isMyTurn || (gift && gift.toPlayerId === state.playerId));
+    indicator.classList.remove('hidden');
 }
 
 function renderDeck() {
@@ -359,46 +951,101 @@ function renderDeck() {
     const deckCardsEl = deckEl.querySelector('.deck-cards');
     const deckCount = deckEl.querySelector('.deck-count');
 
-    deckCardsEl.innerHTML = '';
-
-    const deck = state.gameState.deck;
-    if (deck.length > 0) {
-        const visibleCount = Math.min(deck.length, 5);
-        // Render from bottom to top (lower cards first, top card last for correct DOM stacking)
-        for (let i = visibleCount - 1; i >= 0; i--) {
-            const card = document.createElement('div');
-            card.className = 'deck-card';
-            // Top card is at deck[deck.length - 1], show it on top visually
-            const cardIndex = deck.length - 1 - i;
-            if (deck[cardIndex]) {
-                card.style.backgroundImage = `url(${deck[cardIndex].front})`;
-            }
-            card.style.top = `${-i * 2}px`;
-            card.style.left = `${i * 1}px`;
-            card.style.zIndex = visibleCount - i; // Top card (i=0) has highest z-index
-            deckCardsEl.appendChild(card);
-        }
+    // Only the top card is known - the server keeps the rest of the deck.
+    // The stack is patched in place: up to five cards, the last one on top.
+    const { deckCount: count, topCard } = state.gameState;
+    const visibleCount = Math.min(count, 5);
+    while (deckCardsEl.children.length > visibleCount) deckCardsEl.firstElementChild.remove();
+    while (deckCardsEl.children.length < visibleCount) {
+        const card = document.createElement('div');
+        card.className = 'deck-card';
+        deckCardsEl.prepend(card);
     }
 
-    deckCount.textContent = deck.length;
+    [...deckCardsEl.children].forEach((card, position) => {
+        const i = visibleCount - 1 - position; // 0 is the top card
+        const showsFace = i === 0 && topCard;
+        const image = showsFace ? `url("${topCard.front}")` : '';
+        if (card.style.backgroundImage !== image) card.style.backgroundImage = image;
+        card.title = showsFace ? getCardName(topCard.id) : '';
+        card.classList.toggle('deck-card-hidden', !showsFace);
+        card.style.top = `${-i * 2}px`;
+        card.style.left = `${i * 1}px`;
+        card.style.zIndex = visibleCount - i; // Top card (i=0) has highest z-index
+    });
+
+    deckCount.textContent = count;
+    deckEl.setAttribute('aria-label', topCard
+        ? t('table.deckLabelTop', { count, card: getCardName(topCard.id) })
+        : t('table.deckLabel', { count }));
 
     // Click to draw
-    deckEl.onclick = () => {
-        if (state.socket && deck.length > 0) {
-            state.socket.send(JSON.stringify({ type: 'draw' }));
-        }
-    };
+    deckEl.onclick = drawCard;
 
-    deckEl.style.display = deck.length > 0 ? '' : 'none';
+    deckEl.style.display = count > 0 ? '' : 'none';
 }
 
 function setupGameHandlers() {
     elements.playAgain?.addEventListener('click', () => {
-        if (state.socket) {
-            state.socket.send(JSON.stringify({ type: 'reset' }));
+        send(clientMessages.reset());
+    });
+
+    // Rules mode: respond to a gift
+    elements.acceptGift?.addEventListener('click', () => {
+        elements.giftModal.classList.add('hidden');
+        send(clientMessages.acceptGift());
+    });
+
+    elements.downloadReplay?.addEventListener('click', () => {
+        send(clientMessages.getReplay());
+    });
+
+    elements.confirmResult?.addEventListener('click', () => {
+        send(clientMessages.confirmResult());
+    });
+
+    // Replay viewer
+    elements.watchReplay?.addEventListener('click', () => elements.replayFile.click());
+    elements.replayFile?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (file) openReplayFile(file);
+    });
+    elements.replayPrev?.addEventListener('click', () => {
+        stopReplayPlayback();
+        showReplayStep(state.replayStep - 1);
+    });
+    elements.replayNext?.addEventListener('click', () => {
+        stopReplayPlayback();
+        showReplayStep(state.replayStep + 1);
+    });
+    elements.replayPlay?.addEventListener('click', toggleReplayPlayback);
+    elements.replayExit?.addEventListener('click', exitReplay);
+
+    // A misdropped discard can end the game - let it be taken back from there too
+    [elements.undoBtn, elements.undoGameOver].forEach(button => {
+        button?.addEventListener('click', () => send(clientMessages.undo()));
+    });
+
+    elements.challengeGift?.addEventListener('click', () => {
+        elements.giftModal.classList.add('hidden');
+        if (state.rules && state.rules.pendingGift) {
+            sendChallenge(state.rules.pendingGift.slotIndex);
         }
     });
 
+    elements.closeReveal?.addEventListener('click', () => {
+        elements.revealModal.classList.add('hidden');
+    });
+
+    elements.scoreboardBtn?.addEventListener('click', () => {
+        renderStandings(elements.scoreboardContent);
+        elements.scoreboardModal.classList.remove('hidden');
+    });
+    document.getElementById('closeScoreboard')?.addEventListener('click', () => {
+        elements.scoreboardModal.classList.add('hidden');
+    });
+
     // Setup discard history modal
     setupDiscardHistoryModal();
 
@@ -457,9 +1104,9 @@ function toggleDiscardHistory() {
     modal.className = 'modal';
     modal.innerHTML = `
         <div class="modal-content discard-history-modal">
-            <h2>Discard History</h2>
+            <h2 data-i18n="discards.title">${t('discards.title')}</h2>
             <div id="discardHistoryList" class="discard-history-list"></div>
-            <button id="closeDiscardHistory" class="btn btn-secondary">Close</button>
+            <button id="closeDiscardHistory" class="btn btn-secondary" data-i18n="common.close">${t('common.close')}</button>
         </div>
     `;
     document.body.appendChild(modal);
@@ -477,106 +1124,202 @@ function toggleDiscardHistory() {
     renderDiscardHistory();
 }
 
+// Why a card ended up in the discard pile (manual discards have no label)
+const DISCARD_REASON_LABELS = {
+    bluff: 'discards.bluff',
+    wrongChallenge: 'discards.wrongChallenge'
+};
+
 // Render discard history list
 function renderDiscardHistory() {
     const list = document.getElementById('discardHistoryList');
     if (!list) return;
 
     if (state.discardHistory.length === 0) {
-        list.innerHTML = '<p class="no-discards">No cards discarded yet</p>';
+        list.innerHTML = `<p class="no-discards">${t('discards.none')}</p>`;
         return;
     }
 
     list.innerHTML = state.discardHistory.map((item, index) => `
         <div class="discard-item">
             <div class="discard-card" style="background-image: url(${item.card.front})"></div>
-            <span class="discard-player">${item.playerName}</span>
+            <span class="discard-name">${getCardName(item.card.id)}</span>
+            <span class="discard-player">${escapeHtml(item.playerName)}</span>
+            ${DISCARD_REASON_LABELS[item.reason] ? `<span class="discard-reason">${t(DISCARD_REASON_LABELS[item.reason])}</span>` : ''}
         </div>
     `).join('');
 }
 
 // === ACTIONS ===
+// Messages are built by shared/protocol.js so the server can validate them
+function send(message) {
+    if (state.socket) {
+        state.socket.send(JSON.stringify(message));
+    }
+}
+
+// "That's not a hat!" on one of your received cards
+function sendChallenge(slotIndex) {
+    send(clientMessages.challenge(slotIndex));
+}
+
+function drawCard() {
+    if (state.gameState.deckCount > 0 && state.playerId) {
+        send(clientMessages.draw());
+    }
+}
+
 function handleFlipCard(playerId, slotIndex) {
     // Only flip your own cards
     if (playerId !== state.playerId) return;
 
-    if (state.socket) {
-        state.socket.send(JSON.stringify({ type: 'flip', slotIndex }));
-    }
+    send(clientMessages.flip(slotIndex));
 }
 
 function handleDrop(dragData, dropTarget) {
     if (!dragData || !dropTarget) return;
 
+    if (state.rulesMode) {
+        handleRulesDrop(dragData, dropTarget);
+        return;
+    }
+
     if (dropTarget.type === 'penalty') {
         // Discard to penalty zone - only your own cards
         if (dragData.fromPlayerId === state.playerId) {
-            if (state.socket) {
-                state.socket.send(JSON.stringify({
-                    type: 'discard',
-                    playerId: dragData.fromPlayerId,
-                    slotIndex: dragData.fromSlot
-                }));
-            }
+            send(clientMessages.discard(dragData.fromSlot));
         }
     } else if (dropTarget.type === 'player') {
         if (dropTarget.playerId === dragData.fromPlayerId) {
-            // Swap within same player
-            if (dragData.fromSlot !== dropTarget.slotIndex) {
-                if (state.socket) {
-                    state.socket.send(JSON.stringify({
-                        type: 'swapCards',
-                        playerId: dragData.fromPlayerId
-                    }));
-                }
+            // Rearrange your own stack: the card goes where it was dropped
+            if (dragData.fromPlayerId === state.playerId && dragData.fromSlot !== dropTarget.slotIndex) {
+                send(clientMessages.reorderCards(dragData.fromSlot, dropTarget.slotIndex));
             }
         } else {
             // Move card to another player (FREE - can move from anyone to yourself)
             // Can only move TO yourself, not to others
             if (dropTarget.playerId === state.playerId && dropTarget.isEmpty) {
-                if (state.socket) {
-                    state.socket.send(JSON.stringify({
-                        type: 'moveCard',
-                        fromPlayerId: dragData.fromPlayerId,
-                        fromSlot: dragData.fromSlot,
-                        toPlayerId: dropTarget.playerId,
-                        toSlot: dropTarget.slotIndex
-                    }));
-                }
+                send(clientMessages.moveCard(dragData.fromPlayerId, dragData.fromSlot, dropTarget.playerId, dropTarget.slotIndex));
             } else if (dragData.fromPlayerId === state.playerId && dropTarget.isEmpty) {
-                // Or move your own cards to others
-                if (state.socket) {
-                    state.socket.send(JSON.stringify({
-                        type: 'moveCard',
-                        fromPlayerId: dragData.fromPlayerId,
-                        fromSlot: dragData.fromSlot,
-                        toPlayerId: dropTarget.playerId,
-                        toSlot: dropTarget.slotIndex
-                    }));
-                }
+                // Or move your own cards to others - announcing what it is
+                pickClaim({ required: false }).then(claim => {
+                    if (claim === null) return;
+                    send(clientMessages.moveCard(dragData.fromPlayerId, dragData.fromSlot, dropTarget.playerId, dropTarget.slotIndex, claim));
+                });
             }
         }
     }
 }
 
+// Rules mode: the only drag that counts is passing your own card to another player
+function handleRulesDrop(dragData, dropTarget) {
+    if (dropTarget.type !== 'player') return;
+    if (dragData.fromPlayerId !== state.playerId || dropTarget.playerId === state.playerId) return;
+
+    pickClaim({ required: true }).then(claim => {
+        if (!claim) return;
+        send(clientMessages.pass(dragData.fromSlot, dropTarget.playerId, claim));
+    });
+}
+
+// Ask the giver what they say the card is - pick a card in play or type any item.
+// Resolves to the claim, '' to pass without announcing (sandbox only), or null if cancelled.
+function pickClaim({ required }) {
+    return new Promise(resolve => {
+        // Face-up cards in play are the likely answers
+        const cardIds = [...new Set(state.gameState.players
+            .flatMap(p => p.cards)
+            .filter(c => c !== null && !c.isFlipped)
+            .map(c => c.id))];
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content claim-picker-modal">
+                <h2>${t('claim.title')}</h2>
+                <div class="claim-options">
+                    ${cardIds.map(id => `
+                        <button class="claim-option" data-name="${getCardName(id)}">
+                            <span class="claim-option-image" style="background-image: url(${getCardImage(id)})"></span>
+                            <span class="claim-option-name">${getCardName(id)}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <input type="text" class="claim-input" list="claimNames" maxlength="${MAX_CLAIM_LENGTH}"
+                    placeholder="${t('claim.placeholder')}" autocomplete="off">
+                <datalist id="claimNames">
+                    ${ITEM_NAME_LIST.map(name => `<option value="${name}">`).join('')}
+                </datalist>
+                <button class="btn btn-primary claim-submit">${t('claim.submit')}</button>
+                ${required ? '' : `<button class="btn-link claim-skip">${t('claim.skip')}</button>`}
+                <button class="btn btn-secondary claim-cancel">${t('common.cancel')}</button>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('.claim-input');
+        const close = (claim) => {
+            modal.remove();
+            resolve(claim);
+        };
+
+        modal.querySelectorAll('.claim-option').forEach(option => {
+            option.addEventListener('click', () => close(option.dataset.name));
+        });
+        modal.querySelector('.claim-submit').addEventListener('click', () => {
+            const claim = input.value.trim();
+            if (claim) close(claim);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && input.value.trim()) close(input.value.trim());
+        });
+        modal.querySelector('.claim-skip')?.addEventListener('click', () => close(''));
+        modal.querySelector('.claim-cancel').addEventListener('click', () => close(null));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close(null);
+        });
+    });
+}
+
 // === EVENT HANDLERS ===
 function handleCardDrawn(data) {
-    // Pop the top card from client deck (same as server did)
-    state.gameState.deck.pop();
+    const deckTop = snapshotCard(elements.deck.querySelector('.deck-card:last-child'));
+
+    // The server sends the new top of the deck
+    state.gameState.deckCount = data.deckCount;
+    state.gameState.topCard = data.topCard;
+
+    if (data.rules) {
+        state.rules = data.rules;
+    }
 
     // Sync player state from server (includes shift logic)
     if (data.players) {
         state.gameState.players = data.players;
     }
     renderGame();
+    animateCardFrom(findSlotCard(elements.playersContainer, data.playerId, data.slotIndex), deckTop && deckTop.rect);
+    announceMove(data.playerId, 'drew', { card: describeCard(data.card) });
+}
+
+// The card lands in a slot that may have shifted down, so it is found by id
+function handleCardMoved(data) {
+    const from = snapshotCard(findSlotCard(elements.playersContainer, data.fromPlayerId, data.fromSlot));
+    state.gameState.players = data.players;
+    renderGame();
+    animateCardFrom(findCard(elements.playersContainer, data.card.id), from && from.rect);
+    announcePass(data.fromPlayerId, data.toPlayerId, data.claim);
 }
 
 function handleCardFlipped(data) {
     const player = state.gameState.players.find(p => p.id === data.playerId);
     if (player && player.cards[data.slotIndex]) {
-        player.cards[data.slotIndex].isFlipped = data.isFlipped;
+        // Flipped-down cards come back as placeholders, flipped-up ones revealed
+        player.cards[data.slotIndex] = data.card;
     }
-    renderGame();
+    // Only this seat changed
+    updatePlayer(state.gameState, data.playerId, elements.playersContainer);
+    announceMove(data.playerId, data.isFlipped ? 'flippedDown' : 'flippedUp', { card: getCardName(data.card.id) });
 }
 
 function handleCardsSwapped(data) {
@@ -584,10 +1327,26 @@ function handleCardsSwapped(data) {
     if (player) {
         player.cards = data.cards;
     }
-    renderGame();
+    updatePlayer(state.gameState, data.playerId, elements.playersContainer);
+}
+
+function handleCardsReordered(data) {
+    const player = state.gameState.players.find(p => p.id === data.playerId);
+    if (!player) return;
+
+    const seat = () => elements.playersContainer.querySelector(`[data-player-id="${data.playerId}"]`);
+    const oldRects = seat() ? getSlotRects(seat()) : [];
+    player.cards = data.cards;
+    updatePlayer(state.gameState, data.playerId, elements.playersContainer);
+
+    if (seat() && oldRects.length > 0) {
+        animateCardReorder(seat(), oldRects, data.fromSlot, data.toSlot);
+    }
 }
 
 function handleCardDiscarded(data) {
+    const discarded = snapshotCard(findSlotCard(elements.playersContainer, data.playerId, data.slotIndex));
+
     // Sync full player state from server (includes normalized cards)
     if (data.players) {
         state.gameState.players = data.players;
@@ -599,15 +1358,255 @@ function handleCardDiscarded(data) {
     }
 
     renderGame();
+    animateCardDiscard(discarded, elements.penaltyZone);
+    announceMove(data.playerId, 'discarded', { count: data.penalties });
 
     if (data.gameOver) {
+        state.seed = data.seed;
         showGameOver(data.loserName);
     }
 }
 
+function handleGiftPassed(data) {
+    const from = snapshotCard(findSlotCard(elements.playersContainer, data.fromPlayerId, data.fromSlot));
+    state.gameState.players = data.players;
+    state.rules = data.rules;
+    renderGame();
+    animateCardFrom(findSlotCard(elements.playersContainer, data.toPlayerId, data.slotIndex), from && from.rect);
+    announcePass(data.fromPlayerId, data.toPlayerId, data.claim);
+
+    if (data.toPlayerId === state.playerId) {
+        showGiftModal(data.fromPlayerId, data.claim);
+    }
+}
+
+function showGiftModal(fromPlayerId, claim) {
+    elements.giftMessage.innerHTML = `
+        <p>${t('gift.message', { name: `<strong>${escapeHtml(getPlayerName(fromPlayerId))}</strong>` })}</p>
+        <p class="claim-bubble">${escapeHtml(claim)}</p>
+    `;
+    elements.giftModal.classList.remove('hidden');
+}
+
+function handleChallengeResolved(data) {
+    state.gameState.players = data.players;
+    state.discardHistory = data.discardHistory;
+    state.rules = data.rules;
+    renderGame();
+
+    // Everyone sees the reveal
+    const giverName = getPlayerName(data.giverId);
+    const challengerName = getPlayerName(data.challengerId);
+    const claimedCardId = findCardIdByName(data.claim);
+    elements.revealClaim.style.backgroundImage = claimedCardId ? `url(${getCardImage(claimedCardId)})` : '';
+    elements.revealClaimName.textContent = data.claim;
+    elements.revealCard.style.backgroundImage = `url(${data.card.front})`;
+    elements.revealCardName.textContent = getCardName(data.card.id);
+    if (data.truthful) {
+        elements.revealMessage.textContent = t('reveal.truthful', { giver: giverName, challenger: challengerName });
+    } else {
+        elements.revealMessage.textContent = data.loserId
+            ? t('reveal.bluffing', { giver: giverName })
+            : t('reveal.bluffingGone');
+    }
+    elements.revealModal.classList.remove('hidden');
+    announce(`${t('announce.revealed', { card: getCardName(data.card.id) })} ${elements.revealMessage.textContent}`);
+
+    if (data.gameOver) {
+        state.seed = data.seed;
+        showGameOver(data.loserName);
+    }
+}
+
+// Names and claims are typed by players - never insert them as HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function handleActionUndone(data) {
+    state.gameState.players = data.players;
+    state.gameState.deckCount = data.deckCount;
+    state.gameState.topCard = data.topCard;
+    state.discardHistory = data.discardHistory;
+    renderGame();
+
+    // Taking back the losing discard reopens the game
+    if (!isGameOver(state.gameState.players, state.gameState.settings)) {
+        elements.gameOverModal.classList.add('hidden');
+    }
+}
+
+// The host can always undo; you can undo your own fresh action for a few seconds
+function setUndo(data) {
+    state.undo = data.undo || null;
+
+    // Seats coming and going keep the undo, and our window for it, as they were
+    if (data.type === 'playerJoined' || data.type === 'playerDisconnected') {
+        renderUndoButton();
+        return;
+    }
+
+    clearTimeout(state.undoTimer);
+
+    const isOwnNewAction = state.undo && state.undo.playerId === state.playerId && data.type !== 'actionUndone';
+    state.undoUntil = isOwnNewAction ? Date.now() + UNDO_WINDOW_MS : 0;
+    if (isOwnNewAction) {
+        state.undoTimer = setTimeout(renderUndoButton, UNDO_WINDOW_MS);
+    }
+    renderUndoButton();
+}
+
+function renderUndoButton() {
+    const canUndo = state.undo && state.gameState.gameStarted && !state.rulesMode &&
+        (state.isHost || Date.now() < state.undoUntil);
+    elements.undoBtn.classList.toggle('hidden', !canUndo);
+    elements.undoGameOver.classList.toggle('hidden', !canUndo);
+}
+
+// === REPLAYS ===
+function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const date = new Date(replay.startedAt).toISOString().slice(0, 10);
+    link.href = url;
+    link.download = `tnah-replay-${replay.roomId}-${date}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function openReplayFile(file) {
+    file.text()
+        .then(text => startReplay(new ReplayViewer(JSON.parse(text))))
+        .catch(() => toasts.error(t('replay.badFile')));
+}
+
+function startReplay(viewer) {
+    state.replayViewer = viewer;
+    state.gameState.settings = { ...DEFAULT_SETTINGS, ...viewer.replay.settings };
+    elements.lobby.classList.remove('active');
+    elements.game.classList.add('active');
+    elements.replayControls.classList.remove('hidden');
+    showReplayStep(0);
+}
+
+// Draw the table as it was after the given step
+function showReplayStep(index) {
+    const viewer = state.replayViewer;
+    state.replayStep = Math.max(0, Math.min(index, viewer.length - 1));
+    const frame = viewer.frames[state.replayStep];
+
+    state.gameState.players = frame.players;
+    state.gameState.currentPlayerId = null; // Watched from no seat
+    state.gameState.deckCount = frame.deckCount;
+    state.gameState.topCard = frame.topCard;
+    state.discardHistory = frame.discardHistory;
+
+    renderDeck();
+    renderPlayers(state.gameState, elements.playersContainer, {
+        onFlip: () => {},
+        onChallenge: () => {},
+        slotCount: state.gameState.settings.slotCount
+    });
+
+    elements.replayStep.textContent =
+        `${state.replayStep + 1}/${viewer.length} · ${viewer.timeAt(state.replayStep)} · ${viewer.describe(state.replayStep)}`;
+}
+
+function toggleReplayPlayback() {
+    if (state.replayTimer) {
+        stopReplayPlayback();
+        return;
+    }
+
+    // Play from the start again once the end is reached
+    if (state.replayStep >= state.replayViewer.length - 1) showReplayStep(0);
+    elements.replayPlay.textContent = t('replay.pause');
+    state.replayTimer = setInterval(() => {
+        showReplayStep(state.replayStep + 1);
+        if (state.replayStep >= state.replayViewer.length - 1) stopReplayPlayback();
+    }, REPLAY_STEP_MS);
+}
+
+function stopReplayPlayback() {
+    clearInterval(state.replayTimer);
+    state.replayTimer = null;
+    elements.replayPlay.textContent = t('replay.play');
+}
+
+function exitReplay() {
+    stopReplayPlayback();
+    state.replayViewer = null;
+    state.gameState.players = [];
+    elements.replayControls.classList.add('hidden');
+    elements.game.classList.remove('active');
+    elements.lobby.classList.add('active');
+}
+
 function showGameOver(loserName) {
-    elements.gameOverMessage.textContent = `${loserName} got 3 penalties and lost!`;
+    const match = state.match;
+    const { penaltyLimit } = state.gameState.settings;
+    const winners = match ? getMatchWinners(match, state.gameState.players, penaltyLimit) : [];
+
+    if (!match) {
+        elements.gameOverTitle.textContent = t('gameOver.title');
+        elements.gameOverMessage.textContent = t('gameOver.lost', { name: loserName, count: penaltyLimit });
+        elements.playAgain.textContent = t('gameOver.playAgain');
+    } else if (winners.length > 0) {
+        elements.gameOverTitle.textContent = t('gameOver.matchTitle');
+        elements.gameOverMessage.textContent = t('gameOver.matchWon', { names: winners.map(w => w.name).join(t('gameOver.and')) });
+        elements.playAgain.textContent = t('gameOver.newMatch');
+    } else {
+        elements.gameOverTitle.textContent = t('gameOver.roundTitle', { round: currentRound(match) });
+        elements.gameOverMessage.textContent = t('gameOver.roundLost', { name: loserName, count: penaltyLimit });
+        elements.playAgain.textContent = t('gameOver.nextRound');
+    }
+
+    elements.matchStandings.classList.toggle('hidden', !match);
+    if (match) renderStandings(elements.matchStandings);
+
+    elements.playAgain.classList.toggle('hidden', !state.playerId);
+    renderResult();
     elements.gameOverModal.classList.remove('hidden');
+    announce(`${elements.gameOverTitle.textContent} ${elements.gameOverMessage.textContent}`);
+}
+
+// The seed comes with a final result; until then the host can confirm it or
+// take the losing move back
+function renderResult() {
+    // Anyone can deal this game again from its seed
+    elements.gameOverSeed.textContent = state.seed ? t('gameOver.seed', { seed: state.seed }) : '';
+    elements.downloadReplay.classList.toggle('hidden', !state.playerId || !state.seed);
+    elements.confirmResult.classList.toggle('hidden', !state.isHost || !!state.seed);
+}
+
+// Match totals so far, including the round being played
+function renderStandings(container) {
+    const match = state.match;
+    const players = state.gameState.players;
+    const { penaltyLimit } = state.gameState.settings;
+    const winnerIds = getMatchWinners(match, players, penaltyLimit).map(w => w.playerId);
+
+    container.innerHTML = `
+        <p class="match-round">${describeMatch(match)} · ${t('match.round', { round: currentRound(match) })}</p>
+        <table class="standings">
+            <thead>
+                <tr><th></th><th>${t('scoreboard.player')}</th><th>${t('scoreboard.penalties')}</th><th>${t('scoreboard.roundsLost')}</th></tr>
+            </thead>
+            <tbody>
+                ${getStandings(match, players, penaltyLimit).map((line, index) => `
+                    <tr class="${winnerIds.includes(line.playerId) ? 'winner' : ''}">
+                        <td>${index + 1}</td>
+                        <td>${escapeHtml(line.name)}</td>
+                        <td>${line.penalties}</td>
+                        <td>${line.roundsLost}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
 // Start
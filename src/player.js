@@ -1,9 +1,19 @@
 import { calculatePlayerPositions } from './game.js';
-import { createCard, setupFlipHandler } from './card.js';
+import { createCard, updateCard, setupFlipHandler } from './card.js';
+import { getCardName } from '../shared/catalogue.js';
+import { t, getLocale } from './i18n.js';
+
+// Seats are keyed by player id and cards by card id, so a render only patches
+// what changed: a card that moves keeps its element, a flip toggles a class
+// mid-transition, and a card being dragged is not pulled out from under you.
+
+// The latest callbacks for each container - handlers look them up when they
+// fire, so elements that outlive a render never call stale ones
+const containerCallbacks = new WeakMap();
 
 // Render all players around the table
 export function renderPlayers(gameState, container, callbacks) {
-    container.innerHTML = '';
+    containerCallbacks.set(container, callbacks);
 
     const positions = calculatePlayerPositions(
         gameState.players.length,
@@ -12,26 +22,92 @@ export function renderPlayers(gameState, container, callbacks) {
         window.innerHeight
     );
 
+    const seats = new Map([...container.children].map(seat => [seat.dataset.playerId, seat]));
+    const cards = collectCards(gameState, container);
+
     gameState.players.forEach((player, index) => {
-        const pos = positions[index];
-        const slot = createPlayerSlot(player, pos, gameState.currentPlayerId, callbacks);
-        container.appendChild(slot);
+        let seat = seats.get(player.id);
+        seats.delete(player.id);
+        if (!seat) seat = createPlayerSlot(player.id);
+
+        // Keep seat order in step with the player list
+        if (container.children[index] !== seat) {
+            container.insertBefore(seat, container.children[index] || null);
+        }
+
+        patchPlayerSlot(seat, player, positions[index], gameState.currentPlayerId, container, cards);
     });
+
+    // Players who left
+    seats.forEach(seat => seat.remove());
 }
 
-// Create a player slot element
-function createPlayerSlot(player, position, currentPlayerId, callbacks) {
-    const isCurrentPlayer = player.id === currentPlayerId;
+// Update a specific player's display
+export function updatePlayer(gameState, playerId, container) {
+    const seat = container.querySelector(`[data-player-id="${playerId}"]`);
+    const player = gameState.getPlayer(playerId);
+    if (!seat || !player) return;
+
+    const position = { x: parseFloat(seat.style.left), y: parseFloat(seat.style.top) };
+    patchPlayerSlot(seat, player, position, gameState.currentPlayerId, container, collectCards(gameState, container));
+}
 
-    const slot = document.createElement('div');
-    slot.className = `player-slot${isCurrentPlayer ? ' current-player' : ''}`;
-    slot.dataset.playerId = player.id;
-    slot.style.left = `${position.x}px`;
-    slot.style.top = `${position.y}px`;
+// Card elements on the table by id, and the ids the new state still shows
+function collectCards(gameState, container) {
+    return {
+        byId: new Map([...container.querySelectorAll('.card-slot > .card')].map(card => [card.dataset.cardId, card])),
+        wanted: new Set(gameState.players.flatMap(p => p.cards.filter(Boolean).map(c => c.id)))
+    };
+}
+
+// An empty seat - patchPlayerSlot fills it in
+function createPlayerSlot(playerId) {
+    const seat = document.createElement('div');
+    seat.className = 'player-slot';
+    seat.dataset.playerId = playerId;
 
-    // Player info
     const info = document.createElement('div');
     info.className = 'player-info';
+    seat.appendChild(info);
+
+    const cardsContainer = document.createElement('div');
+    cardsContainer.className = 'player-cards';
+    seat.appendChild(cardsContainer);
+
+    return seat;
+}
+
+function patchPlayerSlot(seat, player, position, currentPlayerId, container, cards) {
+    const isCurrentPlayer = player.id === currentPlayerId;
+    const callbacks = containerCallbacks.get(container) || {};
+
+    seat.classList.toggle('current-player', isCurrentPlayer);
+    seat.classList.toggle('disconnected', player.connected === false);
+    seat.style.left = `${position.x}px`;
+    seat.style.top = `${position.y}px`;
+
+    patchPlayerInfo(seat.querySelector('.player-info'), player);
+
+    // Card slots - use dynamic slot count
+    const cardsContainer = seat.querySelector('.player-cards');
+    const slotCount = callbacks.slotCount || player.cards.length;
+    while (cardsContainer.children.length > slotCount) cardsContainer.lastElementChild.remove();
+    while (cardsContainer.children.length < slotCount) {
+        cardsContainer.appendChild(createCardSlot(cardsContainer.children.length, container));
+    }
+
+    [...cardsContainer.children].forEach((cardSlot, i) => {
+        patchCardSlot(cardSlot, player.cards[i], isCurrentPlayer, container, cards);
+        cardSlot.setAttribute('aria-label', describeSlot(player, i, isCurrentPlayer));
+    });
+}
+
+// Name, penalties and status rarely change - rebuilt only when they do
+function patchPlayerInfo(info, player) {
+    const key = JSON.stringify([player.name, player.penalties, player.isBot, player.connected, getLocale()]);
+    if (info.dataset.key === key) return;
+    info.dataset.key = key;
+    info.replaceChildren();
 
     const name = document.createElement('span');
     name.className = 'player-name';
@@ -45,59 +121,102 @@ function createPlayerSlot(player, position, currentPlayerId, callbacks) {
         info.appendChild(penalty);
     }
 
-    slot.appendChild(info);
+    if (player.isBot) {
+        const status = document.createElement('span');
+        status.className = 'player-status';
+        status.textContent = t('seat.bot');
+        info.appendChild(status);
+    }
 
-    // Card slots - use dynamic slot count
-    const cardsContainer = document.createElement('div');
-    cardsContainer.className = 'player-cards';
+    // Seat is held while the player reconnects
+    if (player.connected === false) {
+        const status = document.createElement('span');
+        status.className = 'player-status';
+        status.textContent = t('seat.disconnected');
+        info.appendChild(status);
+    }
+}
 
-    const slotCount = callbacks.slotCount || player.cards.length;
+function createCardSlot(slotIndex, container) {
+    const cardSlot = document.createElement('div');
+    cardSlot.className = 'card-slot';
+    cardSlot.dataset.slotIndex = slotIndex;
+    // Focusable for keyboard play (see keyboard.js)
+    cardSlot.tabIndex = 0;
+    cardSlot.setAttribute('role', 'button');
+
+    // What the giver announced, shown to the whole table
+    const bubble = document.createElement('div');
+    bubble.className = 'claim-bubble hidden';
+    cardSlot.appendChild(bubble);
+
+    // A card you were given with an announcement can be challenged
+    const challengeBtn = document.createElement('button');
+    challengeBtn.className = 'challenge-btn hidden';
+    challengeBtn.tabIndex = -1; // The slot takes C from the keyboard
+    challengeBtn.addEventListener('click', () => {
+        const { onChallenge } = containerCallbacks.get(container) || {};
+        if (onChallenge) onChallenge(slotIndex);
+    });
+    cardSlot.appendChild(challengeBtn);
 
-    for (let i = 0; i < slotCount; i++) {
-        const cardSlot = document.createElement('div');
-        cardSlot.className = 'card-slot';
-        cardSlot.dataset.slotIndex = i;
+    return cardSlot;
+}
 
-        if (player.cards[i]) {
-            cardSlot.classList.add('occupied');
-            const card = createCard(player.cards[i], isCurrentPlayer);
+function patchCardSlot(cardSlot, cardData, isCurrentPlayer, container, cards) {
+    const current = cardSlot.querySelector(':scope > .card');
 
-            // Setup flip handler for current player's cards
-            if (isCurrentPlayer && callbacks.onFlip) {
-                setupFlipHandler(card, () => {
-                    callbacks.onFlip(player.id, i);
-                });
-            }
+    if (cardData) {
+        // The same card from anywhere on the table, else whatever sat in this
+        // slot (a card that was just turned over can get a new id), else a new one
+        let card = cards.byId.get(cardData.id);
+        if (!card && current && !cards.wanted.has(current.dataset.cardId)) card = current;
 
-            cardSlot.appendChild(card);
+        if (card) {
+            cards.byId.delete(card.dataset.cardId);
+            updateCard(card, cardData, isCurrentPlayer);
+        } else {
+            card = createFlippableCard(cardData, isCurrentPlayer, container);
         }
 
-        cardsContainer.appendChild(cardSlot);
+        if (current && current !== card && current.parentElement === cardSlot) current.remove();
+        if (card.parentElement !== cardSlot) cardSlot.prepend(card);
+    } else if (current && !cards.wanted.has(current.dataset.cardId)) {
+        current.remove();
     }
 
-    slot.appendChild(cardsContainer);
+    cardSlot.classList.toggle('occupied', Boolean(cardData));
 
-    return slot;
+    const claim = cardData && cardData.gift && cardData.gift.claim;
+    const bubble = cardSlot.querySelector('.claim-bubble');
+    bubble.textContent = claim || '';
+    bubble.classList.toggle('hidden', !claim);
+    const challengeBtn = cardSlot.querySelector('.challenge-btn');
+    challengeBtn.textContent = t('seat.challenge');
+    challengeBtn.classList.toggle('hidden', !(isCurrentPlayer && claim));
 }
 
-// Update a specific player's display
-export function updatePlayer(gameState, playerId, container) {
-    const playerSlot = container.querySelector(`[data-player-id="${playerId}"]`);
-    if (!playerSlot) return;
-
-    const player = gameState.getPlayer(playerId);
-    if (!player) return;
-
-    // Update penalty display
-    let penaltyEl = playerSlot.querySelector('.player-penalty');
-    if (player.penalties > 0) {
-        if (!penaltyEl) {
-            penaltyEl = document.createElement('span');
-            penaltyEl.className = 'player-penalty';
-            playerSlot.querySelector('.player-info').appendChild(penaltyEl);
-        }
-        penaltyEl.textContent = `−${player.penalties}`;
-    } else if (penaltyEl) {
-        penaltyEl.remove();
+// What a screen reader says for a slot: whose it is, what is in it and any claim
+function describeSlot(player, slotIndex, isCurrentPlayer) {
+    const card = player.cards[slotIndex];
+    let contents = t('slot.empty');
+    if (card) contents = card.isFlipped ? t('slot.faceDown') : getCardName(card.id);
+    if (card && card.gift && card.gift.claim) {
+        contents = t(isCurrentPlayer ? 'slot.claimChallenge' : 'slot.claim', { contents, claim: card.gift.claim });
     }
+    const slot = slotIndex + 1;
+    return isCurrentPlayer ? t('slot.yours', { slot, contents }) : t('slot.theirs', { name: player.name, slot, contents });
+}
+
+// Double tap flips whichever of your slots the card is in at the time
+function createFlippableCard(cardData, isCurrentPlayer, container) {
+    const card = createCard(cardData, isCurrentPlayer);
+    setupFlipHandler(card, () => {
+        const seat = card.closest('.player-slot');
+        const cardSlot = card.closest('.card-slot');
+        const { onFlip } = containerCallbacks.get(container) || {};
+        if (!onFlip || !seat || !cardSlot || !seat.classList.contains('current-player')) return;
+        onFlip(seat.dataset.playerId, Number(cardSlot.dataset.slotIndex));
+    });
+    return card;
 }
@@ -0,0 +1,124 @@
+// Replay viewer - turns a downloaded replay (party/replay.js) back into a
+// table for every step, ready for renderPlayers and renderDeck.
+import { getCardImage, getCardInfo, getBackImage, getCardName } from '../shared/catalogue.js';
+import { REPLAY_FORMAT } from '../shared/protocol.js';
+import { t } from './i18n.js';
+
+// '~card_012' is card_012 lying face down. Games without back colours
+// showed every card with the black back.
+function expandCard(ref, backColors) {
+    if (!ref) return null;
+    const isFlipped = ref.startsWith('~');
+    const id = isFlipped ? ref.slice(1) : ref;
+    const info = getCardInfo(id);
+    return {
+        id,
+        front: getCardImage(id),
+        back: getBackImage(info && backColors ? info.backColor : 'black'),
+        isFlipped
+    };
+}
+
+export class ReplayViewer {
+    constructor(replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT || !Array.isArray(replay.events)) {
+            throw new Error('Not a replay this version can play');
+        }
+        this.replay = replay;
+        this.names = Object.fromEntries(replay.players.map(p => [p.id, p.name]));
+        this.frames = this.buildFrames();
+    }
+
+    // Apply each entry's changes in turn, keeping the whole table at every step
+    buildFrames() {
+        const { players, deck, events, settings } = this.replay;
+        const expand = ref => expandCard(ref, settings.backColors !== false);
+        const seats = {};
+        let discardHistory = [];
+
+        return events.map(event => {
+            Object.assign(seats, event.players);
+
+            const added = event.discarded || [];
+            discardHistory = discardHistory
+                .slice(0, event.discardCount - added.length)
+                .concat(added.map(d => ({
+                    card: expand(d.cardId),
+                    playerId: d.playerId,
+                    playerName: this.names[d.playerId] || t('common.someone'),
+                    reason: d.reason,
+                    claim: d.claim
+                })));
+
+            return {
+                event,
+                players: players.map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    penalties: seats[p.id][0],
+                    cards: seats[p.id][1].map(expand)
+                })),
+                deckCount: event.deckCount,
+                topCard: event.deckCount > 0 ? expand(deck[event.deckCount - 1]) : null,
+                discardHistory
+            };
+        });
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    // One line for the step, e.g. "Ann gave Ben a card: "Pizza Slice""
+    describe(index) {
+        const { event, discardHistory } = this.frames[index];
+        const who = this.names[event.playerId] || t('common.someone');
+        const details = event.details || {};
+        const lastDiscard = discardHistory[discardHistory.length - 1];
+
+        switch (event.type) {
+            case 'start':
+                return this.replay.seed ? t('replay.dealtSeed', { seed: this.replay.seed }) : t('replay.dealt');
+            case 'draw':
+                return t('replay.draw', { name: who });
+            case 'flip':
+                return t('replay.flip', { name: who });
+            case 'swapCards':
+                return t('replay.swap', { name: who });
+            case 'reorderCards':
+                return t('replay.reorder', { name: who });
+            case 'moveCard':
+            case 'pass': {
+                const someone = t('common.someoneLower');
+                const to = this.names[details.toPlayerId] || someone;
+                if (details.toPlayerId === event.playerId) {
+                    return t('replay.took', { name: who, from: this.names[details.fromPlayerId] || someone });
+                }
+                return details.claim
+                    ? t('replay.gaveClaim', { name: who, to, claim: details.claim })
+                    : t('replay.gave', { name: who, to });
+            }
+            case 'acceptGift':
+                return t('replay.accept', { name: who });
+            case 'challenge':
+                // No penalty card when the bluffer had already left
+                if (!event.discarded) return t('replay.bluffGone', { name: who });
+                if (lastDiscard && lastDiscard.reason === 'bluff') {
+                    return t('replay.bluffCaught', { name: who, card: getCardName(lastDiscard.card.id), giver: lastDiscard.playerName });
+                }
+                return t('replay.wrongChallenge', { name: who });
+            case 'discard':
+                return t('replay.discard', { name: who });
+            case 'undo':
+                return t('replay.undo', { name: who });
+            default:
+                return event.type;
+        }
+    }
+
+    // Seconds into the game, as m:ss
+    timeAt(index) {
+        const seconds = Math.floor(this.frames[index].event.at / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
@@ -1,78 +1,110 @@
-// Render the deck in the center of the table - cards are FACE UP (showing items)
-export function renderDeck(deckCards, container, onClick) {
-    const deckEl = container.querySelector('.deck');
-    const deckCardsEl = deckEl.querySelector('.deck-cards');
-    const deckCount = deckEl.querySelector('.deck-count');
-
-    // Clear existing
-    deckCardsEl.innerHTML = '';
-
-    // Show stacked cards effect (max 5 visible) - FACE UP showing the item
-    const visibleCount = Math.min(deckCards.length, 5);
-    for (let i = 0; i < visibleCount; i++) {
-        const card = document.createElement('div');
-        card.className = 'deck-card';
-        // Show the FRONT of the card (face up) - top card is last in array
-        const cardIndex = deckCards.length - 1 - i;
-        if (cardIndex >= 0 && deckCards[cardIndex]) {
-            card.style.backgroundImage = `url(${deckCards[cardIndex].front})`;
-        }
-        card.style.top = `${-i * 2}px`;
-        card.style.left = `${i * 1}px`;
-        deckCardsEl.appendChild(card);
-    }
-
-    // Update count
-    deckCount.textContent = deckCards.length;
-
-    // Setup click handler
-    deckEl.onclick = () => {
-        if (deckCards.length > 0) {
-            onClick();
-        }
-    };
-
-    // Hide deck if empty
-    deckEl.style.display = deckCards.length > 0 ? '' : 'none';
+// Table animations, driven by server events. The table is patched in place
+// (see player.js), so a card is animated FLIP-style: render it where it ends
+// up, then start it from where it was and let a transition carry it home.
+// Everything here is skipped when the player asks for reduced motion.
+
+export function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
 }
 
-// Animate card draw from deck to player slot
-export function animateCardDraw(card, fromElement, toElement) {
-    return new Promise((resolve) => {
-        const fromRect = fromElement.getBoundingClientRect();
-        const toRect = toElement.getBoundingClientRect();
-
-        const flyingCard = document.createElement('div');
-        flyingCard.className = 'card drawing';
-        flyingCard.style.position = 'fixed';
-        flyingCard.style.left = `${fromRect.left}px`;
-        flyingCard.style.top = `${fromRect.top}px`;
-        flyingCard.style.width = `${toRect.width}px`;
-        flyingCard.style.height = `${toRect.height}px`;
-        flyingCard.style.zIndex = '1000';
-
-        // Show front of card
-        const inner = document.createElement('div');
-        inner.className = 'card-inner';
-
-        const front = document.createElement('div');
-        front.className = 'card-face card-front';
-        front.style.backgroundImage = `url(${card.front})`;
-
-        inner.appendChild(front);
-        flyingCard.appendChild(inner);
-        document.body.appendChild(flyingCard);
-
-        // Animate to target
-        requestAnimationFrame(() => {
-            flyingCard.style.transition = 'all 0.4s ease';
-            flyingCard.style.left = `${toRect.left}px`;
-            flyingCard.style.top = `${toRect.top}px`;
-        });
+// The card element in a player's slot, if there is one
+export function findSlotCard(container, playerId, slotIndex) {
+    return container.querySelector(`[data-player-id="${playerId}"] .card-slot[data-slot-index="${slotIndex}"] > .card`);
+}
+
+// A card element by id, wherever it sits
+export function findCard(container, cardId) {
+    return container.querySelector(`.card[data-card-id="${CSS.escape(cardId)}"]`);
+}
+
+// Remember a card before the table is re-rendered: where it is and what it looks like
+export function snapshotCard(card) {
+    return card ? { rect: card.getBoundingClientRect(), copy: card.cloneNode(true) } : null;
+}
+
+// Slide a card that has already moved from fromRect into its new place
+export function animateCardFrom(card, fromRect) {
+    if (!card || !fromRect || prefersReducedMotion()) return;
+
+    const to = card.getBoundingClientRect();
+    const dx = fromRect.left + fromRect.width / 2 - (to.left + to.width / 2);
+    const dy = fromRect.top + fromRect.height / 2 - (to.top + to.height / 2);
+    const scale = to.width ? fromRect.width / to.width : 1;
+
+    // Start where the card was, then let the transition carry it home
+    card.style.transition = 'none';
+    card.style.transform = `translate(${dx}px, ${dy}px) scale(${scale})`;
+    card.getBoundingClientRect();
+    card.classList.add('travelling');
+    card.style.transition = '';
+    card.style.transform = '';
+    card.addEventListener('transitionend', () => card.classList.remove('travelling'), { once: true });
+}
+
+// The discarded card is already off the table - fly its copy into the pile
+export function animateCardDiscard(snapshot, pileElement) {
+    if (!snapshot || !pileElement || prefersReducedMotion()) return;
+
+    const { rect, copy } = snapshot;
+    const to = pileElement.getBoundingClientRect();
+    copy.classList.add('discarding');
+    copy.style.left = `${rect.left}px`;
+    copy.style.top = `${rect.top}px`;
+    copy.style.width = `${rect.width}px`;
+    copy.style.height = `${rect.height}px`;
+    document.body.appendChild(copy);
 
-        setTimeout(() => {
-            flyingCard.remove();
-            resolve();
-        }, 400);
+    copy.getBoundingClientRect();
+    const dx = to.left + to.width / 2 - (rect.left + rect.width / 2);
+    const dy = to.top + to.height / 2 - (rect.top + rect.height / 2);
+    copy.style.transform = `translate(${dx}px, ${dy}px) scale(0.4) rotate(20deg)`;
+    copy.style.opacity = '0';
+
+    // transitionend fires once per property - and not at all in a hidden tab
+    const done = () => copy.remove();
+    copy.addEventListener('transitionend', done, { once: true });
+    setTimeout(done, 600);
+}
+
+// A new game riffles the deck
+export function animateShuffle(deckElement) {
+    if (!deckElement || prefersReducedMotion()) return;
+
+    deckElement.classList.remove('shuffling');
+    deckElement.getBoundingClientRect(); // Restart the animation if one is running
+    deckElement.classList.add('shuffling');
+    clearTimeout(deckElement.shuffleTimer);
+    deckElement.shuffleTimer = setTimeout(() => deckElement.classList.remove('shuffling'), 800);
+}
+
+// Where each of a player's card slots is on screen, by slot index
+export function getSlotRects(seatElement) {
+    return [...seatElement.querySelectorAll('.card-slot')].map(slot => slot.getBoundingClientRect());
+}
+
+// Slide a reordered stack into place: the moved card comes from fromSlot and
+// the cards it passed over shift by one slot
+export function animateCardReorder(seatElement, oldRects, fromSlot, toSlot) {
+    const step = fromSlot < toSlot ? 1 : -1;
+    const low = Math.min(fromSlot, toSlot);
+    const high = Math.max(fromSlot, toSlot);
+
+    seatElement.querySelectorAll('.card-slot').forEach((slot, index) => {
+        const card = slot.querySelector('.card');
+        if (!card || index < low || index > high) return;
+
+        const oldIndex = index === toSlot ? fromSlot : index + step;
+        const from = oldRects[oldIndex];
+        const to = slot.getBoundingClientRect();
+        if (!from) return;
+
+        // Slot rects, not card rects - shift the card's own rect by the slot's move
+        const cardRect = card.getBoundingClientRect();
+        animateCardFrom(card, {
+            left: cardRect.left + from.left - to.left,
+            top: cardRect.top + from.top - to.top,
+            width: cardRect.width,
+            height: cardRect.height
+        });
     });
 }
@@ -0,0 +1,67 @@
+// Toasts - short notices that don't block the game the way alert() does. A few
+// show at once and the rest wait their turn; the same notice again restarts its
+// timer instead of stacking up (a player who keeps trying a move they can't make
+// sees one). Errors are read out straight away, everything else politely.
+
+const DURATIONS = { info: 3000, warn: 4500, error: 6000 };
+const MAX_VISIBLE = 3;
+
+export class Toasts {
+    constructor(container) {
+        this.container = container;
+        this.queue = [];
+        this.visible = []; // { text, level, element, timer }
+    }
+
+    show(text, level = 'info') {
+        const showing = this.visible.find(toast => toast.text === text && toast.level === level);
+        if (showing) {
+            this.startTimer(showing);
+            return;
+        }
+        if (this.queue.some(toast => toast.text === text && toast.level === level)) return;
+
+        this.queue.push({ text, level });
+        this.next();
+    }
+
+    info(text) {
+        this.show(text, 'info');
+    }
+
+    warn(text) {
+        this.show(text, 'warn');
+    }
+
+    error(text) {
+        this.show(text, 'error');
+    }
+
+    next() {
+        while (this.visible.length < MAX_VISIBLE && this.queue.length > 0) {
+            const toast = this.queue.shift();
+            toast.element = document.createElement('div');
+            toast.element.className = `toast toast-${toast.level}`;
+            toast.element.setAttribute('role', toast.level === 'error' ? 'alert' : 'status');
+            toast.element.textContent = toast.text;
+            // Tap to dismiss early
+            toast.element.addEventListener('click', () => this.dismiss(toast));
+            this.container.appendChild(toast.element);
+
+            this.visible.push(toast);
+            this.startTimer(toast);
+        }
+    }
+
+    startTimer(toast) {
+        clearTimeout(toast.timer);
+        toast.timer = setTimeout(() => this.dismiss(toast), DURATIONS[toast.level] || DURATIONS.info);
+    }
+
+    dismiss(toast) {
+        clearTimeout(toast.timer);
+        this.visible = this.visible.filter(other => other !== toast);
+        toast.element.remove();
+        this.next();
+    }
+}
@@ -0,0 +1,245 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestGame } from './support/fakeRoom.js';
+import { clientMessages } from '../shared/protocol.js';
+import { createBotMind, observeTable, chooseBotMove, whoseMove } from '../party/bots.js';
+import { getPassDirection, getNeighbour } from '../party/rules.js';
+import { getCardName, createDeckCards } from '../shared/catalogue.js';
+import { DEFAULT_SETTINGS } from '../shared/settings.js';
+
+// A lobby with the host p1 and bots seeded 1, 2, ...
+async function lobbyWithBots(botCount, level = 'normal') {
+    const game = await createTestGame();
+    const host = game.join('p1');
+    for (let i = 1; i <= botCount; i++) game.send(host, clientMessages.addBot(level, i));
+    return { ...game, host };
+}
+
+// Play p1 honestly (draw, pass with the true name, accept every gift) and let
+// the bots take their turns, until somebody loses
+function playOut({ server, host, send }) {
+    for (let step = 0; step < 5000; step++) {
+        const mover = whoseMove(server.gameState);
+        if (!mover) return;
+        if (mover !== 'p1') {
+            vi.advanceTimersByTime(1200);
+            continue;
+        }
+
+        const { rules, deck } = server.gameState;
+        const me = server.getPlayer('p1');
+        if (rules.phase === 'respond') {
+            send(host, clientMessages.acceptGift());
+        } else if (rules.phase === 'draw' && deck.length > 0) {
+            send(host, clientMessages.draw());
+        } else {
+            const slotIndex = rules.phase === 'pass' ? rules.passSlot : 0;
+            const card = me.cards[slotIndex];
+            const to = getNeighbour(server.gameState.players, 'p1', getPassDirection(card, server.gameState.settings));
+            send(host, clientMessages.pass(slotIndex, to.id, getCardName(card.id)));
+        }
+    }
+}
+
+// A rules-mode table with a dealt card each, as startRulesGame leaves it
+function table(playerIds) {
+    const deck = createDeckCards();
+    const players = playerIds.map(id => ({ id, name: id, cards: [deck.pop(), null], penalties: 0, isBot: id.startsWith('bot') }));
+    return {
+        players,
+        deck,
+        gameStarted: true,
+        rulesMode: true,
+        settings: { ...DEFAULT_SETTINGS },
+        rules: { phase: 'draw', turnPlayerId: playerIds[0], passSlot: null, pendingGift: null }
+    };
+}
+
+beforeEach(() => {
+    vi.useFakeTimers();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('bot minds', () => {
+    it('remember what they see and never trust a claim over it', () => {
+        const gameState = table(['bot-1', 'p2']);
+        const mind = createBotMind('normal', 1);
+        const card = gameState.players[1].cards[0];
+
+        observeTable(mind, gameState);
+        card.isFlipped = true;
+        card.gift = { fromPlayerId: 'p2', claim: 'Something else' };
+        observeTable(mind, gameState);
+
+        expect(mind.memory[card.id]).toEqual({ name: getCardName(card.id), seen: true });
+    });
+
+    it('challenge a lie about a card they remember and accept the truth', () => {
+        const gameState = table(['p1', 'bot-1']);
+        const bot = gameState.players[1];
+        const gift = gameState.players[0].cards[0];
+        const mind = createBotMind('hard', 1);
+        mind.profile.forgetChance = 0;
+        mind.memory[gift.id] = { name: getCardName(gift.id), seen: true };
+        bot.cards[1] = { ...gift, isFlipped: true };
+        gameState.rules = {
+            phase: 'respond',
+            turnPlayerId: 'p1',
+            passSlot: null,
+            pendingGift: { fromPlayerId: 'p1', toPlayerId: 'bot-1', slotIndex: 1, claim: 'Not this' }
+        };
+
+        const lie = chooseBotMove(gameState, bot, mind);
+        gameState.rules.pendingGift.claim = getCardName(gift.id);
+        const truth = chooseBotMove(gameState, bot, mind);
+
+        expect(lie).toEqual({ type: 'challenge', slotIndex: 1 });
+        expect(truth).toEqual({ type: 'acceptGift' });
+    });
+
+    it('draw, then pass their oldest card to where its back points', () => {
+        const gameState = table(['bot-1', 'p2', 'p3']);
+        const bot = gameState.players[0];
+        const mind = createBotMind('hard', 7);
+
+        expect(chooseBotMove(gameState, bot, mind)).toEqual({ type: 'draw' });
+
+        gameState.rules.phase = 'pass';
+        gameState.rules.passSlot = 0;
+        const direction = getPassDirection(bot.cards[0], gameState.settings);
+        const move = chooseBotMove(gameState, bot, mind);
+
+        expect(move).toMatchObject({ type: 'pass', slotIndex: 0, toPlayerId: direction === 'left' ? 'p2' : 'p3' });
+        expect(typeof move.claim).toBe('string');
+    });
+
+    it('make the same choices from the same seed', () => {
+        const run = seed => {
+            const gameState = table(['bot-1', 'p2']);
+            const bot = gameState.players[0];
+            const mind = createBotMind('easy', seed);
+            observeTable(mind, gameState);
+            gameState.rules.phase = 'pass';
+            gameState.rules.passSlot = 0;
+            return Array.from({ length: 20 }, () => chooseBotMove(gameState, bot, mind).claim);
+        };
+
+        expect(run(42)).toEqual(run(42));
+        expect(run(42)).not.toEqual(run(43));
+    });
+
+    it('wait when there is no card to pass', () => {
+        const gameState = table(['bot-1', 'p2']);
+        gameState.deck.length = 0;
+        gameState.players[0].cards[0] = null;
+
+        expect(chooseBotMove(gameState, gameState.players[0], createBotMind('normal', 1))).toBeNull();
+    });
+
+    it('do nothing when it is not their move', () => {
+        const gameState = table(['p1', 'bot-1']);
+
+        expect(chooseBotMove(gameState, gameState.players[1], createBotMind('normal', 1))).toBeNull();
+    });
+});
+
+describe('bots at the table', () => {
+    it('lets the host add and remove bots in the lobby', async () => {
+        const { server, host, send } = await lobbyWithBots(2);
+
+        expect(server.gameState.players.map(p => [p.id, p.isBot === true])).toEqual([['p1', false], ['bot-1', true], ['bot-2', true]]);
+        expect(host.last('playerJoined').player).toMatchObject({ id: 'bot-2', isBot: true });
+
+        send(host, clientMessages.removeBot('bot-1'));
+        send(host, clientMessages.removeBot('p1'));
+
+        expect(server.gameState.players.map(p => p.id)).toEqual(['p1', 'bot-2']);
+        expect(server.gameState.bots).not.toHaveProperty('bot-1');
+        expect(host.last('error')).toMatchObject({ code: 'notABot' });
+    });
+
+    it('only lets the host add bots', async () => {
+        const { server, join, send } = await lobbyWithBots(0);
+        const guest = join('p2');
+
+        send(guest, clientMessages.addBot('easy'));
+
+        expect(server.gameState.players).toHaveLength(2);
+        expect(guest.last('error')).toMatchObject({ code: 'notHost' });
+    });
+
+    it('keeps bot minds off the wire', async () => {
+        const { host, send } = await lobbyWithBots(1);
+
+        send(host, clientMessages.sync());
+
+        expect(host.last('state').state).not.toHaveProperty('bots');
+    });
+
+    it('only starts with bots in Rules Mode', async () => {
+        const { server, host, send } = await lobbyWithBots(1);
+
+        send(host, clientMessages.start());
+
+        expect(server.gameState.gameStarted).toBe(false);
+        expect(host.last('error')).toMatchObject({ code: 'botsNeedRules' });
+    });
+
+    it('plays a whole solo practice game', async () => {
+        const game = await lobbyWithBots(3, 'easy');
+        game.send(game.host, clientMessages.toggleRulesMode(true));
+        game.send(game.host, clientMessages.start());
+
+        playOut(game);
+
+        const { players, settings } = game.server.gameState;
+        expect(players.some(p => p.penalties >= settings.penaltyLimit)).toBe(true);
+        expect(game.host.errors()).toEqual([]);
+    });
+
+    it('waits before each move', async () => {
+        const { server, host, send } = await lobbyWithBots(1);
+        send(host, clientMessages.toggleRulesMode(true));
+        send(host, clientMessages.start());
+        send(host, clientMessages.draw());
+        const card = server.getPlayer('p1').cards[0];
+        send(host, clientMessages.pass(0, 'bot-1', getCardName(card.id)));
+
+        vi.advanceTimersByTime(1000);
+        expect(server.gameState.rules.phase).toBe('respond');
+
+        vi.advanceTimersByTime(200);
+        expect(server.gameState.rules.pendingGift).toBeNull();
+    });
+
+    it('cannot be played by a connection named after the bot', async () => {
+        const { server, host, send, connect, disconnect } = await lobbyWithBots(1);
+        send(host, clientMessages.toggleRulesMode(true));
+        send(host, clientMessages.start());
+        const impostor = connect('bot-1');
+
+        send(impostor, clientMessages.chat('I am a bot'));
+        disconnect(impostor);
+
+        expect(impostor.last('error')).toMatchObject({ code: 'notSeated' });
+        expect(server.getPlayer('bot-1').connected).toBe(true);
+
+        send(host, clientMessages.draw());
+        const card = server.getPlayer('p1').cards[0];
+        send(host, clientMessages.pass(0, 'bot-1', getCardName(card.id)));
+        vi.advanceTimersByTime(1200);
+
+        expect(server.gameState.rules.pendingGift).toBeNull();
+    });
+
+    it('leaves the room empty when the last person goes', async () => {
+        const { server, host, send } = await lobbyWithBots(2);
+
+        send(host, clientMessages.leave());
+
+        expect(server.gameState.players).toEqual([]);
+        expect(server.gameState.bots).toEqual({});
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState, shuffleArray, generateRoomCode, calculatePlayerPositions } from '../src/game.js';
+
+describe('GameState', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new GameState();
+        game.addPlayer({ id: 'p1', name: 'Ann' });
+        game.addPlayer({ id: 'p2', name: 'Ben' });
+    });
+
+    it('holds at most 8 players', () => {
+        for (let i = 3; i <= 8; i++) {
+            expect(game.addPlayer({ id: `p${i}`, name: `P${i}` })).toBe(true);
+        }
+        expect(game.addPlayer({ id: 'p9', name: 'P9' })).toBe(false);
+        expect(game.players).toHaveLength(8);
+    });
+
+    it('removes players by id', () => {
+        game.removePlayer('p1');
+        expect(game.players.map(p => p.id)).toEqual(['p2']);
+    });
+
+    it('builds a full deck from the catalogue', () => {
+        game.initDeck();
+        expect(game.deck).toHaveLength(110);
+        expect(game.deck.every(c => c.isFlipped === false)).toBe(true);
+    });
+
+    it('draws face up into the first empty slot until the slots are full', () => {
+        game.initDeck();
+        const top = game.deck[game.deck.length - 1];
+
+        expect(game.drawCard('p1')).toEqual({ card: top, slotIndex: 0 });
+        expect(game.drawCard('p1').slotIndex).toBe(1);
+        expect(game.drawCard('p1')).toBeNull();
+        expect(game.deck).toHaveLength(108);
+    });
+
+    it('cannot draw from an empty deck', () => {
+        expect(game.drawCard('p1')).toBeNull();
+    });
+
+    it('flips and swaps a player\'s cards', () => {
+        game.initDeck();
+        const first = game.drawCard('p1').card;
+        const second = game.drawCard('p1').card;
+
+        expect(game.flipCard('p1', 0)).toBe(true);
+        expect(first.isFlipped).toBe(true);
+
+        game.swapCards('p1');
+        expect(game.getPlayer('p1').cards).toEqual([second, first]);
+    });
+
+    it('reorders a player\'s stack', () => {
+        game.settings.slotCount = 3;
+        game.addPlayer({ id: 'p3', name: 'Cid' });
+        game.initDeck();
+        const [a, b, c] = [0, 1, 2].map(() => game.drawCard('p3').card);
+
+        expect(game.reorderCards('p3', 0, 2)).toBe(true);
+        expect(game.getPlayer('p3').cards).toEqual([b, c, a]);
+        expect(game.reorderCards('p3', 0, 3)).toBe(false);
+    });
+
+    it('transfers a card only into an empty slot', () => {
+        game.initDeck();
+        const card = game.drawCard('p1').card;
+        game.drawCard('p2');
+
+        expect(game.transferCard('p1', 0, 'p2', 0)).toBe(false);
+        expect(game.transferCard('p1', 0, 'p2', 1)).toBe(true);
+        expect(game.getPlayer('p2').cards[1]).toBe(card);
+        expect(game.getPlayer('p1').cards[0]).toBeNull();
+    });
+
+    it('reports game over at 3 penalties', () => {
+        game.initDeck();
+        for (let i = 1; i <= 3; i++) {
+            game.drawCard('p1');
+            const result = game.discardCard('p1', 0);
+            expect(result).toEqual({ penalties: i, gameOver: i === 3 });
+        }
+        expect(game.checkGameOver().id).toBe('p1');
+    });
+
+    it('round-trips through JSON', () => {
+        game.initDeck();
+        game.roomCode = 'ABCD';
+
+        const copy = new GameState();
+        copy.fromJSON(JSON.parse(JSON.stringify(game)));
+
+        expect(copy.roomCode).toBe('ABCD');
+        expect(copy.players).toEqual(game.players);
+        expect(copy.deck).toEqual(game.deck);
+    });
+});
+
+describe('helpers', () => {
+    it('shuffles without losing or mutating cards', () => {
+        const cards = [1, 2, 3, 4, 5];
+        const shuffled = shuffleArray(cards);
+        expect(cards).toEqual([1, 2, 3, 4, 5]);
+        expect([...shuffled].sort()).toEqual(cards);
+    });
+
+    it('generates room codes from unambiguous letters', () => {
+        expect(generateRoomCode()).toMatch(/^[A-HJ-NP-Z]{4}$/);
+    });
+
+    it('places the current player at the bottom of the table', () => {
+        const positions = calculatePlayerPositions(4, 2, 400, 400);
+        expect(positions).toHaveLength(4);
+        expect(positions[2].isCurrentPlayer).toBe(true);
+        expect(Math.max(...positions.map(p => p.y))).toBe(positions[2].y);
+    });
+
+    it('pins nobody to the bottom for a spectator', () => {
+        const positions = calculatePlayerPositions(4, -1, 400, 400);
+        expect(positions).toHaveLength(4);
+        expect(positions.some(p => p.isCurrentPlayer)).toBe(false);
+        const bottom = positions.map(p => p.y).sort((a, b) => b - a);
+        expect(bottom[0]).toBeCloseTo(bottom[1]);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { t, translateError, setLocale, detectLocale, getLocale, LOCALES } from '../src/i18n.js';
+import en from '../src/locales/en.js';
+import es from '../src/locales/es.js';
+import vietnamese from '../src/locales/vi.js';
+
+// Just enough of the browser for setLocale and detectLocale
+function stubBrowser(languages = ['en-GB']) {
+    const storage = new Map();
+    vi.stubGlobal('localStorage', {
+        getItem: key => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, String(value))
+    });
+    vi.stubGlobal('navigator', { languages });
+    vi.stubGlobal('document', { documentElement: {}, querySelectorAll: () => [] });
+}
+
+const placeholders = text => [...new Set([...JSON.stringify(text).matchAll(/\{(\w+)\}/g)].map(m => m[1]))].sort();
+
+beforeEach(() => {
+    stubBrowser();
+    setLocale('en');
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('t', () => {
+    it('fills in placeholders', () => {
+        expect(t('turn.draw', { name: 'Ann' })).toBe("Ann's turn to draw");
+    });
+
+    it('picks the plural form from count', () => {
+        expect(t('settings.summaryCards', { count: 1 })).toBe('1 card');
+        expect(t('settings.summaryCards', { count: 110 })).toBe('110 cards');
+    });
+
+    it('falls back to English, then to the key', () => {
+        setLocale('es');
+        expect(t('turn.draw', { name: 'Ann' })).toBe('Turno de Ann para robar');
+        expect(t('no.such.key')).toBe('no.such.key');
+    });
+
+    it('uses the plural rules of the language', () => {
+        setLocale('es');
+        expect(t('match.describeRounds', { count: 1 })).toBe('Torneo de 1 ronda');
+        expect(t('match.describeRounds', { count: 3 })).toBe('Torneo de 3 rondas');
+        setLocale('vi');
+        expect(t('match.describeRounds', { count: 3 })).toBe('Trận 3 vòng');
+    });
+});
+
+describe('translateError', () => {
+    it('words a plain code', () => {
+        expect(translateError('notYourTurn')).toBe('Not your turn');
+    });
+
+    it('uses the reason and translates setting names and directions', () => {
+        expect(translateError('invalidSettings', { reason: 'range', setting: 'slotCount', min: 1, max: 6 }))
+            .toBe('Slots per player must be between 1 and 6');
+        expect(translateError('wrongDirection', { direction: 'left' })).toBe('This card goes to the left');
+        setLocale('es');
+        expect(translateError('wrongDirection', { direction: 'left' })).toBe('Esta carta va hacia la izquierda');
+    });
+
+    it('falls back to the general message for unknown codes and reasons', () => {
+        expect(translateError('invalidMatch', { reason: 'somethingNew' })).toBe('Unknown match type');
+        expect(translateError('somethingNew')).toBe(en['errors.rejected']);
+    });
+});
+
+describe('locales', () => {
+    it('picks a saved choice, then the browser language', () => {
+        stubBrowser(['vi-VN', 'en']);
+        expect(detectLocale()).toBe('vi');
+
+        stubBrowser(['fr-FR', 'es-MX']);
+        expect(detectLocale()).toBe('es');
+        setLocale('en');
+        expect(detectLocale()).toBe('en');
+    });
+
+    it('ignores unknown languages', () => {
+        setLocale('xx');
+        expect(getLocale()).toBe('en');
+    });
+
+    it.each([['es', es], ['vi', vietnamese]])('%s only has English keys with the same placeholders', (code, catalogue) => {
+        expect(LOCALES[code]).toBeDefined();
+        for (const [key, text] of Object.entries(catalogue)) {
+            expect(en[key], key).toBeDefined();
+            expect(placeholders(text), key).toEqual(placeholders(en[key]));
+        }
+    });
+});
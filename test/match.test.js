@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createMatch,
+    finishRound,
+    getStandings,
+    isMatchOver,
+    getMatchWinners,
+    currentRound
+} from '../shared/match.js';
+
+const seat = (id, penalties = 0) => ({ id, name: id.toUpperCase(), penalties });
+
+describe('createMatch', () => {
+    it('plays single games when matches are off', () => {
+        expect(createMatch('off')).toBeNull();
+    });
+
+    it('keeps the number of rounds or the target score in range', () => {
+        expect(createMatch('rounds', 5)).toEqual({ mode: 'rounds', goal: 5, rounds: [] });
+        expect(createMatch('rounds', 0)).toHaveProperty('error');
+        expect(createMatch('target', 2)).toHaveProperty('error');
+        expect(createMatch('target')).toHaveProperty('error');
+    });
+});
+
+describe('standings', () => {
+    it('adds up penalties over finished rounds and the current one', () => {
+        const match = createMatch('rounds', 3);
+        finishRound(match, [seat('a', 3), seat('b', 1)], 3);
+
+        const standings = getStandings(match, [seat('a', 0), seat('b', 2)], 3);
+
+        expect(standings).toEqual([
+            { playerId: 'b', name: 'B', penalties: 3, roundsLost: 0 },
+            { playerId: 'a', name: 'A', penalties: 3, roundsLost: 1 }
+        ]);
+    });
+
+    it('keeps players who left and starts late arrivals from zero', () => {
+        const match = createMatch('rounds', 3);
+        finishRound(match, [seat('a', 3), seat('b', 1)], 3);
+
+        const standings = getStandings(match, [seat('b'), seat('c')], 3);
+
+        expect(standings.map(line => [line.playerId, line.penalties])).toEqual([['c', 0], ['b', 1], ['a', 3]]);
+    });
+});
+
+describe('match end', () => {
+    it('ends a fixed-length match with its last round', () => {
+        const match = createMatch('rounds', 2);
+        finishRound(match, [seat('a', 3), seat('b', 0)], 3);
+
+        expect(currentRound(match)).toBe(2);
+        expect(isMatchOver(match, [seat('a', 1), seat('b', 2)], 3)).toBe(false);
+        expect(isMatchOver(match, [seat('a', 1), seat('b', 3)], 3)).toBe(true);
+        expect(getMatchWinners(match, [seat('a', 1), seat('b', 3)], 3).map(w => w.playerId)).toEqual(['b']);
+    });
+
+    it('ends a match to a score once somebody reaches it', () => {
+        const match = createMatch('target', 5);
+        finishRound(match, [seat('a', 3), seat('b', 1)], 3);
+
+        expect(isMatchOver(match, [seat('a', 3), seat('b', 1)], 3)).toBe(true);
+        expect(getMatchWinners(match, [seat('a', 3), seat('b', 1)], 3).map(w => w.playerId)).toEqual(['b']);
+    });
+
+    it('shares the win on a tie', () => {
+        const match = createMatch('rounds', 1);
+
+        const winners = getMatchWinners(match, [seat('a', 3), seat('b', 1), seat('c', 1)], 3);
+
+        expect(winners.map(w => w.playerId)).toEqual(['b', 'c']);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, hashSeed, shuffle } from '../shared/random.js';
+
+describe('seeded random numbers', () => {
+    it('repeat the same sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const c = createRandom(43);
+
+        const first = [a(), a(), a()];
+
+        expect([b(), b(), b()]).toEqual(first);
+        expect([c(), c(), c()]).not.toEqual(first);
+        expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+    });
+
+    it('carry on from a saved state', () => {
+        const random = createRandom(7);
+        random();
+        const resumed = createRandom(random.getState());
+
+        expect(resumed()).toBe(random());
+    });
+
+    it('turn text seeds into stable numbers', () => {
+        expect(hashSeed('final')).toBe(hashSeed('final'));
+        expect(hashSeed('final')).not.toBe(hashSeed('Final'));
+        expect(Number.isInteger(hashSeed(''))).toBe(true);
+    });
+
+    it('shuffle the same way from the same seed, without touching the input', () => {
+        const cards = Array.from({ length: 20 }, (_, i) => i);
+
+        const once = shuffle(cards, createRandom(hashSeed('deal')));
+        const again = shuffle(cards, createRandom(hashSeed('deal')));
+
+        expect(again).toEqual(once);
+        expect(once).not.toEqual(cards);
+        expect([...once].sort((x, y) => x - y)).toEqual(cards);
+        expect(cards[0]).toBe(0);
+    });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestGame } from './support/fakeRoom.js';
+import { clientMessages } from '../shared/protocol.js';
+import { ReplayViewer } from '../src/replay.js';
+
+// Two players, p1 draws and discards until they lose; p1 (the host) confirms it
+async function finishedGame() {
+    const game = await createTestGame();
+    const players = [game.join('p1', 'Ann'), game.join('p2', 'Ben')];
+    game.send(players[0], clientMessages.start());
+    for (let i = 0; i < 3; i++) {
+        game.send(players[0], clientMessages.draw());
+        game.send(players[0], clientMessages.discard(0));
+    }
+    game.send(players[0], clientMessages.confirmResult());
+    return { ...game, players };
+}
+
+beforeEach(() => {
+    vi.useFakeTimers();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('replay recording', () => {
+    it('logs every table action from the start to game over', async () => {
+        const { server } = await finishedGame();
+
+        expect(server.replay.events.map(e => e.type)).toEqual([
+            'start', 'draw', 'discard', 'draw', 'discard', 'draw', 'discard'
+        ]);
+        expect(server.replay.endedAt).not.toBeNull();
+    });
+
+    it('stops recording after game over', async () => {
+        const { server, players, send } = await finishedGame();
+
+        send(players[1], clientMessages.draw());
+
+        expect(server.replay.events).toHaveLength(7);
+    });
+
+    it('stays final once it has been handed out', async () => {
+        const { server, players, send } = await finishedGame();
+        send(players[1], clientMessages.getReplay());
+
+        send(players[0], clientMessages.undo());
+
+        expect(players[0].last('error')).toMatchObject({ code: 'gameOver' });
+        expect(server.replay.events).toHaveLength(7);
+        expect(server.replay.endedAt).not.toBeNull();
+    });
+
+    it('waits for the host to confirm the result, which an undo can still change', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        const guest = join('p2');
+        send(host, clientMessages.start());
+        for (let i = 0; i < 3; i++) {
+            send(host, clientMessages.draw());
+            send(host, clientMessages.discard(0));
+        }
+
+        send(guest, clientMessages.getReplay());
+        send(host, clientMessages.undo());
+
+        expect(guest.last('error')).toMatchObject({ code: 'replayUnavailable' });
+        expect(server.replay.events.map(e => e.type).slice(-2)).toEqual(['discard', 'undo']);
+        expect(server.replay.endedAt).toBeNull();
+    });
+
+    it('stops short of the storage limit on a long game', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.start());
+        send(host, clientMessages.draw());
+
+        for (let i = 0; i < 2000; i++) {
+            send(host, clientMessages.flip(0));
+        }
+
+        const stored = new TextEncoder().encode(JSON.stringify(server.replay)).length;
+        expect(server.replay.truncated).toBe(true);
+        expect(stored).toBeLessThan(128 * 1024);
+    });
+
+    it('leaves joins and tokens out of the log', async () => {
+        const { server, players, join, disconnect } = await finishedGame();
+        disconnect(players[1]);
+        join('p2-again', 'Ben', 'token-p2');
+
+        expect(JSON.stringify(server.replay)).not.toContain('token-p2');
+    });
+
+    it('is only handed out once the game is over', async () => {
+        const { join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.start());
+
+        send(host, clientMessages.getReplay());
+
+        expect(host.last('error')).toMatchObject({ code: 'replayUnavailable' });
+    });
+
+    it('exports the log without the recorder\'s bookkeeping', async () => {
+        const { players, send } = await finishedGame();
+
+        send(players[1], clientMessages.getReplay());
+
+        const { replay } = players[1].last('replay');
+        expect(replay).toMatchObject({ format: 1, players: [{ id: 'p1', name: 'Ann' }, { id: 'p2', name: 'Ben' }] });
+        expect(replay.deck).toHaveLength(110);
+        expect(replay).not.toHaveProperty('lastSeats');
+    });
+
+    it('starts a fresh log on reset', async () => {
+        const { server, players, send } = await finishedGame();
+
+        send(players[0], clientMessages.reset());
+
+        expect(server.replay.events.map(e => e.type)).toEqual(['start']);
+    });
+});
+
+describe('ReplayViewer', () => {
+    async function exportedReplay() {
+        const { players, send } = await finishedGame();
+        send(players[1], clientMessages.getReplay());
+        return players[1].last('replay').replay;
+    }
+
+    it('rebuilds the table after every step', async () => {
+        const replay = await exportedReplay();
+        const viewer = new ReplayViewer(replay);
+
+        expect(viewer.length).toBe(7);
+        const afterFirstDraw = viewer.frames[1];
+        expect(afterFirstDraw.deckCount).toBe(109);
+        expect(afterFirstDraw.players[0].cards[0].id).toBe(replay.deck[109]);
+        expect(afterFirstDraw.topCard.id).toBe(replay.deck[108]);
+
+        const end = viewer.frames[6];
+        expect(end.players[0].penalties).toBe(3);
+        expect(end.discardHistory.map(d => d.playerName)).toEqual(['Ann', 'Ann', 'Ann']);
+    });
+
+    it('describes each step', async () => {
+        const replay = await exportedReplay();
+        const viewer = new ReplayViewer(replay);
+
+        expect(viewer.describe(0)).toBe(`The cards are dealt (seed ${replay.seed})`);
+        expect(viewer.describe(1)).toBe('Ann drew a card');
+        expect(viewer.describe(2)).toBe('Ann put a card in the penalty pile');
+    });
+
+    it('follows an undo that takes a penalty back', async () => {
+        const { players, send } = await createTestGame().then(async game => {
+            const players = [game.join('p1', 'Ann'), game.join('p2', 'Ben')];
+            game.send(players[0], clientMessages.start());
+            game.send(players[0], clientMessages.draw());
+            game.send(players[0], clientMessages.discard(0));
+            game.send(players[0], clientMessages.undo());
+            return { ...game, players };
+        });
+        for (let i = 0; i < 3; i++) {
+            send(players[0], clientMessages.discard(0));
+            send(players[0], clientMessages.draw());
+        }
+        send(players[0], clientMessages.confirmResult());
+        send(players[1], clientMessages.getReplay());
+
+        const viewer = new ReplayViewer(players[1].last('replay').replay);
+
+        expect(viewer.frames[3].discardHistory).toHaveLength(0);
+        expect(viewer.frames[3].players[0].penalties).toBe(0);
+        expect(viewer.frames[viewer.length - 1].discardHistory).toHaveLength(3);
+    });
+
+    it('refuses files that are not replays', () => {
+        expect(() => new ReplayViewer({ hello: 'world' })).toThrow();
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestGame } from './support/fakeRoom.js';
+import { clientMessages } from '../shared/protocol.js';
+import { getPassDirection, getNeighbour } from '../party/rules.js';
+import { getCardName } from '../shared/catalogue.js';
+
+// Three players in Rules Mode; p1 has the first turn
+async function rulesGame() {
+    const game = await createTestGame();
+    const players = ['p1', 'p2', 'p3'].map(id => game.join(id));
+    game.send(players[0], clientMessages.toggleRulesMode(true));
+    game.send(players[0], clientMessages.start());
+    return { ...game, players };
+}
+
+// p1 draws and passes their oldest card where its back points, claiming `claim`
+function drawAndPass({ server, players, send }, claim) {
+    send(players[0], clientMessages.draw());
+    const card = server.getPlayer('p1').cards[0];
+    const receiver = getNeighbour(server.gameState.players, 'p1', getPassDirection(card, server.gameState.settings));
+    send(players[0], clientMessages.pass(0, receiver.id, claim ?? getCardName(card.id)));
+    return { card, receiver, connection: players[server.gameState.players.indexOf(receiver)] };
+}
+
+beforeEach(() => {
+    vi.useFakeTimers();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('rules mode', () => {
+    it('deals everyone one face-up card and starts with the first seat', async () => {
+        const { server } = await rulesGame();
+
+        expect(server.gameState.players.every(p => p.cards[0] && !p.cards[0].isFlipped)).toBe(true);
+        expect(server.gameState.rules).toMatchObject({ phase: 'draw', turnPlayerId: 'p1' });
+    });
+
+    it('only lets the turn player draw', async () => {
+        const { players, send } = await rulesGame();
+
+        send(players[1], clientMessages.draw());
+
+        expect(players[1].last('error')).toMatchObject({ code: 'notYourTurn' });
+    });
+
+    it('hides the card to be passed once the next card is drawn', async () => {
+        const { server, players, send } = await rulesGame();
+        const card = server.getPlayer('p1').cards[0];
+        const receiver = getNeighbour(server.gameState.players, 'p1', getPassDirection(card, server.gameState.settings));
+        const connection = players[server.gameState.players.indexOf(receiver)];
+        const seenBefore = connection.messages.length;
+
+        send(players[0], clientMessages.draw());
+        send(connection, clientMessages.sync());
+
+        const seen = JSON.stringify(connection.messages.slice(seenBefore));
+        expect(seen).not.toContain(`"${card.id}"`);
+        expect(seen).not.toContain(card.front);
+        expect(server.getPlayer('p1').cards[1].isFlipped).toBe(false);
+
+        send(players[0], clientMessages.pass(0, receiver.id, 'Definitely a hat'));
+        expect(server.gameState.players.every(p => p.cards.every(c => !c || c.isFlipped))).toBe(true);
+    });
+
+    it('sends a passed card face down to the neighbour its back points at', async () => {
+        const game = await rulesGame();
+        const { card, receiver } = drawAndPass(game);
+
+        expect(card.isFlipped).toBe(true);
+        expect(receiver.cards).toContain(card);
+        expect(game.server.gameState.rules).toMatchObject({ phase: 'respond' });
+        // Where it came from and went to, so every client can animate the pass
+        expect(game.players[2].last('giftPassed')).toMatchObject({
+            fromPlayerId: 'p1',
+            fromSlot: 0,
+            toPlayerId: receiver.id,
+            slotIndex: receiver.cards.indexOf(card)
+        });
+    });
+
+    it('makes the receiver pass the accepted card on', async () => {
+        const game = await rulesGame();
+        const { card, receiver, connection } = drawAndPass(game);
+
+        game.send(connection, clientMessages.acceptGift());
+
+        expect(card.gift).toBeUndefined();
+        expect(game.server.gameState.rules).toMatchObject({
+            phase: 'pass',
+            turnPlayerId: receiver.id,
+            passSlot: receiver.cards.indexOf(card)
+        });
+    });
+
+    it('penalises a bluffing giver', async () => {
+        const game = await rulesGame();
+        const { receiver, connection } = drawAndPass(game, 'Definitely a hat');
+
+        game.send(connection, clientMessages.challenge(game.server.gameState.rules.pendingGift.slotIndex));
+
+        expect(game.server.getPlayer('p1').penalties).toBe(1);
+        expect(receiver.penalties).toBe(0);
+        expect(game.server.gameState.rules).toMatchObject({ phase: 'draw', turnPlayerId: 'p1' });
+    });
+
+    it('penalises a challenger when the giver told the truth', async () => {
+        const game = await rulesGame();
+        const { receiver, connection } = drawAndPass(game);
+
+        game.send(connection, clientMessages.challenge(game.server.gameState.rules.pendingGift.slotIndex));
+
+        expect(receiver.penalties).toBe(1);
+        expect(connection.last('challengeResolved')).toMatchObject({ truthful: true, loserId: receiver.id });
+    });
+
+    it('skips a loser with no cards left once the deck is empty', async () => {
+        const { server, players, send } = await rulesGame();
+        server.gameState.deck.length = 0;
+        const card = server.getPlayer('p1').cards[0];
+        const receiver = getNeighbour(server.gameState.players, 'p1', getPassDirection(card, server.gameState.settings));
+        send(players[0], clientMessages.pass(0, receiver.id, 'Definitely a hat'));
+
+        const connection = players[server.gameState.players.indexOf(receiver)];
+        send(connection, clientMessages.challenge(server.gameState.rules.pendingGift.slotIndex));
+
+        expect(server.getPlayer('p1').cards.every(c => c === null)).toBe(true);
+        expect(server.gameState.rules).toMatchObject({ phase: 'draw', turnPlayerId: 'p2' });
+    });
+
+    it('turns off the free-play actions', async () => {
+        const { server, players, send } = await rulesGame();
+
+        send(players[0], clientMessages.discard(0));
+
+        expect(server.getPlayer('p1').penalties).toBe(0);
+        expect(players[0].last('error')).toMatchObject({ code: 'rulesMode' });
+    });
+});
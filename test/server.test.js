@@ -0,0 +1,1062 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestGame, FakeRoom } from './support/fakeRoom.js';
+import { clientMessages } from '../shared/protocol.js';
+import { GameState } from '../src/game.js';
+import { getCardName } from '../shared/catalogue.js';
+
+// Seat players p1..pN and start the game as p1 (the host)
+async function startedGame(playerCount = 2) {
+    const game = await createTestGame();
+    const players = [];
+    for (let i = 1; i <= playerCount; i++) {
+        players.push(game.join(`p${i}`));
+    }
+    game.send(players[0], clientMessages.start());
+    return { ...game, players };
+}
+
+const cardIds = player => player.cards.map(c => c && c.id);
+
+beforeEach(() => {
+    vi.useFakeTimers();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('joining', () => {
+    it('seats up to 8 players and turns the 9th away', async () => {
+        const { server, join } = await createTestGame();
+        for (let i = 1; i <= 8; i++) join(`p${i}`);
+
+        const ninth = join('p9');
+
+        expect(server.gameState.players).toHaveLength(8);
+        expect(ninth.last('error')).toMatchObject({ code: 'roomFull' });
+    });
+
+    it('makes the first player the host', async () => {
+        const { server, join } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+
+        expect(server.gameState.hostId).toBe('p1');
+        expect(host.last('joined')).toMatchObject({ playerId: 'p1' });
+    });
+
+    it('refuses new players once the game has started', async () => {
+        const { join } = await startedGame();
+
+        const late = join('p3');
+
+        expect(late.last('error')).toMatchObject({ code: 'gameInProgress' });
+    });
+
+    it('rejects over-long names before they reach the state', async () => {
+        const { server, join } = await createTestGame();
+
+        const player = join('p1', 'x'.repeat(500));
+
+        expect(server.gameState.players).toHaveLength(0);
+        expect(player.last('error')).toMatchObject({ code: 'invalidMessage' });
+    });
+
+    it('gives a reconnecting player their seat back', async () => {
+        const { server, players, join, disconnect } = await startedGame();
+        disconnect(players[1]);
+        expect(server.getPlayer('p2').connected).toBe(false);
+
+        const again = join('p2-again', 'p2', 'token-p2');
+
+        expect(again.last('joined')).toMatchObject({ playerId: 'p2' });
+        expect(server.getPlayer('p2').connected).toBe(true);
+    });
+
+    it('gives a connection named after a seat a seat of its own', async () => {
+        const { server, join, disconnect } = await createTestGame();
+        join('p1');
+        disconnect(join('p2'));
+
+        const mallory = join('p2', 'mallory', 'evil-token');
+
+        expect(mallory.last('joined')).toMatchObject({ playerId: 'p3' });
+        expect(server.gameState.players.map(p => [p.id, p.name])).toEqual([['p1', 'p1'], ['p2', 'p2'], ['p3', 'mallory']]);
+        expect(server.getPlayerForConnection(mallory).name).toBe('mallory');
+        expect(server.getPlayer('p2').connected).toBe(false);
+    });
+
+    it('frees the seat when the grace period runs out', async () => {
+        const { server, players, disconnect } = await startedGame();
+        disconnect(players[1]);
+
+        vi.advanceTimersByTime(60000);
+
+        expect(server.getPlayer('p2')).toBeUndefined();
+    });
+});
+
+describe('host migration', () => {
+    it('hands the host role to the next player when the host leaves', async () => {
+        const { server, send, join } = await createTestGame();
+        const host = join('p1');
+        const second = join('p2');
+        join('p3');
+
+        send(host, clientMessages.leave());
+
+        expect(server.gameState.hostId).toBe('p2');
+        expect(second.last('playerLeft')).toMatchObject({ playerId: 'p1', hostId: 'p2' });
+    });
+
+    it('prefers a connected player as the new host', async () => {
+        const { server, send, join, disconnect } = await createTestGame();
+        const host = join('p1');
+        disconnect(join('p2'));
+        join('p3');
+
+        send(host, clientMessages.leave());
+
+        expect(server.gameState.hostId).toBe('p3');
+    });
+
+    it('resets the room once the last player leaves', async () => {
+        const { server, players, send } = await startedGame();
+
+        send(players[0], clientMessages.leave());
+        send(players[1], clientMessages.leave());
+
+        expect(server.gameState.players).toHaveLength(0);
+        expect(server.gameState.gameStarted).toBe(false);
+        expect(server.sessions).toEqual({});
+    });
+});
+
+describe('starting', () => {
+    it('needs at least 2 players', async () => {
+        const { join, send } = await createTestGame();
+        const host = join('p1');
+
+        send(host, clientMessages.start());
+
+        expect(host.last('error')).toMatchObject({ code: 'notEnoughPlayers' });
+    });
+
+    it('only lets the host start', async () => {
+        const { server, join, send } = await createTestGame();
+        join('p1');
+        const guest = join('p2');
+
+        send(guest, clientMessages.start());
+
+        expect(server.gameState.gameStarted).toBe(false);
+        expect(guest.last('error')).toMatchObject({ code: 'notHost' });
+    });
+
+    it('deals a full shuffled deck', async () => {
+        const { server } = await startedGame();
+
+        expect(server.gameState.deck).toHaveLength(110);
+        expect(new Set(server.gameState.deck.map(c => c.id)).size).toBe(110);
+    });
+});
+
+describe('house rules', () => {
+    it('resizes every player to the slot count', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        const guest = join('p2');
+
+        send(host, clientMessages.updateSettings({ slotCount: 4 }));
+        expect(server.gameState.settings.slotCount).toBe(4);
+        expect(server.gameState.players.every(p => p.cards.length === 4)).toBe(true);
+        expect(guest.last('settingsChanged').settings).toMatchObject({ slotCount: 4, penaltyLimit: 3 });
+
+        send(host, clientMessages.updateSettings({ slotCount: 1 }));
+        expect(server.gameState.players.every(p => p.cards.length === 1)).toBe(true);
+    });
+
+    it('gives players who join later the same number of slots', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        send(host, clientMessages.updateSettings({ slotCount: 3 }));
+
+        join('p2');
+
+        expect(server.getPlayer('p2').cards).toHaveLength(3);
+    });
+
+    it('rejects settings out of range', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+
+        send(host, clientMessages.updateSettings({ slotCount: 5 }));
+        send(host, clientMessages.updateSettings({ deckSize: 41 }));
+        send(host, clientMessages.updateSettings({ penaltyLimit: 0 }));
+
+        expect(host.errors().map(e => e.code)).toEqual(['invalidSettings', 'invalidSettings', 'invalidSettings']);
+        expect(server.gameState.settings).toEqual({ penaltyLimit: 3, slotCount: 2, deckSize: 110, backColors: true });
+    });
+
+    it('lets only the host change them, and only in the lobby', async () => {
+        const { server, players, send } = await startedGame();
+
+        send(players[1], clientMessages.updateSettings({ penaltyLimit: 5 }));
+        send(players[0], clientMessages.updateSettings({ penaltyLimit: 5 }));
+
+        expect(server.gameState.settings.penaltyLimit).toBe(3);
+        expect(players[1].last('error')).toMatchObject({ code: 'notHost' });
+        expect(players[0].last('error')).toMatchObject({ code: 'gameInProgress' });
+    });
+
+    it('deals a deck of the chosen size, half of each back colour', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.updateSettings({ deckSize: 40 }));
+
+        send(host, clientMessages.start());
+
+        const backs = server.gameState.deck.map(c => c.back);
+        expect(backs).toHaveLength(40);
+        expect(backs.filter(b => b.includes('black'))).toHaveLength(20);
+    });
+
+    it('gives every card the same back without back colours', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.updateSettings({ backColors: false }));
+
+        send(host, clientMessages.start());
+
+        expect(new Set(server.gameState.deck.map(c => c.back)).size).toBe(1);
+    });
+
+    it('ends the game at the chosen penalty limit', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        const guest = join('p2');
+        send(host, clientMessages.updateSettings({ penaltyLimit: 1 }));
+        send(host, clientMessages.start());
+
+        send(host, clientMessages.draw());
+        send(host, clientMessages.discard(0));
+
+        expect(guest.last('cardDiscarded')).toMatchObject({ gameOver: true, loserName: 'p1' });
+        send(guest, clientMessages.reset());
+        expect(server.getPlayer('p1').penalties).toBe(0);
+    });
+
+    it('swaps any two of your slots', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.updateSettings({ slotCount: 3 }));
+        send(host, clientMessages.start());
+        for (let i = 0; i < 3; i++) send(host, clientMessages.draw());
+        const [bottom, , top] = cardIds(server.getPlayer('p1'));
+
+        send(host, clientMessages.swapCards(0, 2));
+        expect(cardIds(server.getPlayer('p1'))[0]).toBe(top);
+        expect(cardIds(server.getPlayer('p1'))[2]).toBe(bottom);
+
+        send(host, clientMessages.swapCards(0, 3));
+        expect(host.last('error')).toMatchObject({ code: 'invalidSlot' });
+    });
+
+    it('moves a card anywhere in your stack, shifting the rest', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        const guest = join('p2');
+        send(host, clientMessages.updateSettings({ slotCount: 4 }));
+        send(host, clientMessages.start());
+        for (let i = 0; i < 3; i++) send(host, clientMessages.draw());
+        const [a, b, c] = cardIds(server.getPlayer('p1'));
+
+        send(host, clientMessages.reorderCards(2, 0));
+        expect(cardIds(server.getPlayer('p1'))).toEqual([c, a, b, null]);
+        expect(guest.last('cardsReordered')).toMatchObject({ playerId: 'p1', fromSlot: 2, toSlot: 0 });
+
+        // Dropped on an empty slot, it goes on top of the stack
+        send(host, clientMessages.reorderCards(0, 3));
+        expect(cardIds(server.getPlayer('p1'))).toEqual([a, b, c, null]);
+        expect(guest.last('cardsReordered')).toMatchObject({ fromSlot: 0, toSlot: 2 });
+
+        send(host, clientMessages.undo());
+        expect(cardIds(server.getPlayer('p1'))).toEqual([c, a, b, null]);
+    });
+
+    it('only reorders your own cards within your slot count', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.updateSettings({ slotCount: 3 }));
+        send(host, clientMessages.start());
+        send(host, clientMessages.draw());
+        const before = cardIds(server.getPlayer('p1'));
+
+        send(host, clientMessages.reorderCards(0, 3));
+        send(host, clientMessages.reorderCards(1, 0));
+        send(host, { type: 'reorderCards', fromSlot: 0 });
+
+        expect(host.errors().map(e => e.code)).toEqual(['invalidSlot', 'emptySlot', 'invalidMessage']);
+        expect(cardIds(server.getPlayer('p1'))).toEqual(before);
+    });
+});
+
+describe('drawing', () => {
+    it('fills the lowest empty slot and reports the new top card', async () => {
+        const { server, players, send } = await startedGame();
+        const topId = server.gameState.deck[server.gameState.deck.length - 1].id;
+
+        send(players[0], clientMessages.draw());
+
+        const p1 = server.getPlayer('p1');
+        expect(cardIds(p1)).toEqual([topId, null]);
+        expect(players[1].last('cardDrawn')).toMatchObject({ playerId: 'p1', slotIndex: 0, deckCount: 109 });
+    });
+
+    it('refuses when all slots are full', async () => {
+        const { players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.draw());
+
+        send(players[0], clientMessages.draw());
+
+        expect(players[0].last('error')).toMatchObject({ code: 'noEmptySlot' });
+    });
+
+    it('stops when the deck runs out', async () => {
+        const { server, players, send } = await startedGame();
+        server.gameState.deck = server.gameState.deck.slice(-1);
+
+        send(players[0], clientMessages.draw());
+        send(players[1], clientMessages.draw());
+
+        expect(server.gameState.deck).toHaveLength(0);
+        expect(server.getPlayer('p1').cards[0]).not.toBeNull();
+        expect(server.getPlayer('p2').cards[0]).toBeNull();
+        expect(players[0].last('cardDrawn')).toMatchObject({ deckCount: 0, topCard: null });
+    });
+});
+
+describe('moving cards', () => {
+    it('keeps cards stacked from the bottom slot after a move', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.draw());
+        const [bottom, top] = cardIds(server.getPlayer('p1'));
+
+        // p2 takes p1's bottom card; p1's top card drops to the bottom
+        send(players[1], clientMessages.moveCard('p1', 0, 'p2', 1));
+
+        expect(cardIds(server.getPlayer('p1'))).toEqual([top, null]);
+        expect(cardIds(server.getPlayer('p2'))).toEqual([bottom, null]);
+    });
+
+    it('swaps your own two cards', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.draw());
+        const [bottom, top] = cardIds(server.getPlayer('p1'));
+
+        send(players[0], clientMessages.swapCards());
+
+        expect(cardIds(server.getPlayer('p1'))).toEqual([top, bottom]);
+    });
+
+    it('does not let you move cards between two other players', async () => {
+        const { server, players, send } = await startedGame(3);
+        send(players[0], clientMessages.draw());
+
+        send(players[2], clientMessages.moveCard('p1', 0, 'p2', 0));
+
+        expect(server.getPlayer('p1').cards[0]).not.toBeNull();
+        expect(players[2].last('error')).toMatchObject({ code: 'notYourCard' });
+    });
+
+    it('does not let you discard or swap somebody else\'s cards', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+
+        send(players[1], { type: 'discard', playerId: 'p1', slotIndex: 0 });
+        send(players[1], { type: 'swapCards', playerId: 'p1' });
+
+        expect(server.getPlayer('p1').penalties).toBe(0);
+        expect(players[1].errors().map(e => e.code)).toEqual(['notYourCard', 'notYourCard']);
+    });
+});
+
+describe('challenges', () => {
+    // p1 draws a card, turns it face down and hands it to p2 with a claim
+    function give({ server, players, send }, claim) {
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.flip(0));
+        const card = server.getPlayer('p1').cards[0];
+        send(players[0], clientMessages.moveCard('p1', 0, 'p2', 0, claim ?? getCardName(card.id)));
+        return card;
+    }
+
+    it('marks a card handed on with a claim as a gift', async () => {
+        const game = await startedGame();
+        const card = give(game, 'Zzz bluff');
+
+        expect(card.gift).toEqual({ fromPlayerId: 'p1', claim: 'Zzz bluff' });
+        expect(game.players[1].last('cardMoved')).toMatchObject({ claim: 'Zzz bluff' });
+    });
+
+    it('penalises a bluffing giver', async () => {
+        const game = await startedGame();
+        const card = give(game, 'Zzz bluff');
+
+        game.send(game.players[1], clientMessages.challenge(0));
+
+        expect(game.server.getPlayer('p1').penalties).toBe(1);
+        expect(game.server.getPlayer('p2').penalties).toBe(0);
+        expect(game.players[0].last('challengeResolved')).toMatchObject({ truthful: false, loserId: 'p1', giverId: 'p1' });
+        expect(game.server.gameState.discardHistory).toMatchObject([{ card, playerId: 'p1', reason: 'bluff', claim: 'Zzz bluff' }]);
+    });
+
+    it('penalises a challenger when the giver told the truth', async () => {
+        const game = await startedGame();
+        const card = give(game);
+
+        game.send(game.players[1], clientMessages.challenge(0));
+
+        expect(game.server.getPlayer('p2').penalties).toBe(1);
+        expect(card).toMatchObject({ isFlipped: false });
+        expect(game.server.gameState.discardHistory).toMatchObject([{ playerId: 'p2', reason: 'wrongChallenge' }]);
+    });
+
+    it('only challenges a card that was given with a claim', async () => {
+        const game = await startedGame();
+        give(game, '');
+        game.send(game.players[1], clientMessages.draw());
+
+        game.send(game.players[1], clientMessages.challenge(0));
+        game.send(game.players[1], clientMessages.challenge(1));
+
+        expect(game.players[1].errors().map(e => e.code)).toEqual(['nothingAnnounced', 'notAGift']);
+        expect(game.server.gameState.discardHistory).toEqual([]);
+    });
+
+    it('loses the right to challenge once the gift is turned face up', async () => {
+        const game = await startedGame();
+        const card = give(game, 'Zzz bluff');
+
+        game.send(game.players[1], clientMessages.flip(0));
+        game.send(game.players[1], clientMessages.challenge(0));
+
+        expect(card.gift).toBeUndefined();
+        expect(game.players[1].last('error')).toMatchObject({ code: 'notAGift' });
+        expect(game.server.getPlayer('p1').penalties).toBe(0);
+    });
+
+    it('discards a bluff without a penalty once the giver has left', async () => {
+        const { server, players, send } = await startedGame(3);
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.moveCard('p1', 0, 'p2', 0, 'Zzz bluff'));
+        send(players[0], clientMessages.leave());
+
+        send(players[1], clientMessages.challenge(0));
+
+        expect(players[1].last('challengeResolved')).toMatchObject({ truthful: false, loserId: null, gameOver: false });
+        expect(server.getPlayer('p2').penalties).toBe(0);
+        expect(cardIds(server.getPlayer('p2'))).toEqual([null, null]);
+        expect(server.gameState.discardHistory).toEqual([]);
+    });
+});
+
+describe('penalties', () => {
+    it('ends the game at 3 penalties', async () => {
+        const { server, players, send } = await startedGame();
+
+        for (let i = 0; i < 3; i++) {
+            send(players[0], clientMessages.draw());
+            send(players[0], clientMessages.discard(0));
+        }
+
+        expect(server.getPlayer('p1').penalties).toBe(3);
+        expect(server.gameState.discardHistory).toHaveLength(3);
+        expect(players[1].last('cardDiscarded')).toMatchObject({ gameOver: true, loserName: 'p1' });
+    });
+
+    it('does not end the game before 3 penalties', async () => {
+        const { players, send } = await startedGame();
+
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.discard(0));
+
+        expect(players[0].last('cardDiscarded')).toMatchObject({ penalties: 1, gameOver: false });
+    });
+
+    it('lets anyone restart after game over, but only the host before', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[1], clientMessages.reset());
+        expect(players[1].last('error')).toMatchObject({ code: 'notHost' });
+
+        for (let i = 0; i < 3; i++) {
+            send(players[0], clientMessages.draw());
+            send(players[0], clientMessages.discard(0));
+        }
+        send(players[1], clientMessages.reset());
+
+        expect(server.getPlayer('p1').penalties).toBe(0);
+        expect(server.gameState.discardHistory).toHaveLength(0);
+        expect(server.gameState.deck).toHaveLength(110);
+    });
+});
+
+describe('matches', () => {
+    // Seat p1 and p2 with a match set up, then start
+    async function matchGame(mode, goal) {
+        const game = await createTestGame();
+        const players = [game.join('p1'), game.join('p2')];
+        game.send(players[0], clientMessages.setMatch(mode, goal));
+        game.send(players[0], clientMessages.start());
+        return { ...game, players };
+    }
+
+    const loseRound = ({ send }, player) => {
+        for (let i = 0; i < 3; i++) {
+            send(player, clientMessages.draw());
+            send(player, clientMessages.discard(0));
+        }
+    };
+
+    it('lets only the host set up a match, in the lobby', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        const guest = join('p2');
+
+        send(guest, clientMessages.setMatch('rounds', 3));
+        send(host, clientMessages.setMatch('rounds', 99));
+        expect(guest.last('error')).toMatchObject({ code: 'notHost' });
+        expect(host.last('error')).toMatchObject({ code: 'invalidMatch' });
+
+        send(host, clientMessages.setMatch('rounds', 3));
+        expect(guest.last('matchChanged').match).toEqual({ mode: 'rounds', goal: 3, rounds: [] });
+
+        send(host, clientMessages.start());
+        send(host, clientMessages.setMatch('off'));
+        expect(host.last('error')).toMatchObject({ code: 'gameInProgress' });
+        expect(server.gameState.match).not.toBeNull();
+    });
+
+    it('records each finished round on reset', async () => {
+        const game = await matchGame('rounds', 3);
+        loseRound(game, game.players[0]);
+
+        game.send(game.players[1], clientMessages.reset());
+
+        expect(game.server.gameState.match.rounds).toEqual([{
+            results: [
+                { playerId: 'p1', name: 'p1', penalties: 3 },
+                { playerId: 'p2', name: 'p2', penalties: 0 }
+            ],
+            loserIds: ['p1']
+        }]);
+        expect(game.players[1].last('gameReset').match.rounds).toHaveLength(1);
+    });
+
+    it('throws away a round the host restarts before anyone lost', async () => {
+        const game = await matchGame('rounds', 3);
+        game.send(game.players[0], clientMessages.draw());
+        game.send(game.players[0], clientMessages.discard(0));
+
+        game.send(game.players[0], clientMessages.reset());
+
+        expect(game.server.gameState.match.rounds).toHaveLength(0);
+    });
+
+    it('starts a new match once the last round is over', async () => {
+        const game = await matchGame('rounds', 2);
+        loseRound(game, game.players[0]);
+        game.send(game.players[0], clientMessages.reset());
+        loseRound(game, game.players[1]);
+
+        game.send(game.players[0], clientMessages.reset());
+
+        expect(game.server.gameState.match).toEqual({ mode: 'rounds', goal: 2, rounds: [] });
+    });
+});
+
+describe('hidden information', () => {
+    it('never sends the deck or face-down card identities', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.flip(0));
+        const hiddenId = server.getPlayer('p1').cards[0].id;
+
+        const seen = JSON.stringify(players[1].messages.slice(-1));
+
+        expect(players[1].last('cardFlipped').card).toMatchObject({ isFlipped: true });
+        expect(seen).not.toContain(hiddenId);
+        expect(players[1].messages.some(m => 'deck' in m)).toBe(false);
+    });
+});
+
+describe('seeded deals', () => {
+    // A two-player room whose host fixed the seed, started
+    async function seededGame(seed) {
+        const game = await createTestGame(new FakeRoom(`ROOM-${seed}`));
+        const host = game.join('p1');
+        const guest = game.join('p2');
+        game.send(host, clientMessages.setSeed(seed));
+        game.send(host, clientMessages.start());
+        return { ...game, host, guest };
+    }
+
+    it('deals the same deck in every room with the same seed', async () => {
+        const first = await seededGame('final');
+        const second = await seededGame('final');
+        const other = await seededGame('semi');
+
+        const deckIds = ({ server }) => server.gameState.deck.map(c => c.id);
+        expect(deckIds(second)).toEqual(deckIds(first));
+        expect(deckIds(other)).not.toEqual(deckIds(first));
+    });
+
+    it('deals the same deck as the client does from that seed', async () => {
+        const { server } = await seededGame('final');
+        const local = new GameState();
+
+        local.initDeck('final');
+
+        expect(local.deck.map(c => c.id)).toEqual(server.gameState.deck.map(c => c.id));
+    });
+
+    it('gives every game its own seed when the host set none', async () => {
+        const { server, players, send } = await startedGame();
+        const firstSeed = server.gameState.seed;
+
+        send(players[0], clientMessages.reset());
+
+        expect(firstSeed).toEqual(expect.any(String));
+        expect(server.gameState.seed).not.toBe(firstSeed);
+    });
+
+    it('keeps the seed secret until the result is final', async () => {
+        const { server, host, guest, send } = await seededGame('final');
+        expect(guest.last('seedChanged')).toEqual(expect.objectContaining({ hasFixedSeed: true }));
+        expect(JSON.stringify(guest.messages)).not.toContain('final');
+
+        send(host, clientMessages.sync());
+        expect(host.last('state').state).toMatchObject({ seed: null, hasFixedSeed: true });
+
+        for (let i = 0; i < 3; i++) {
+            send(host, clientMessages.draw());
+            send(host, clientMessages.discard(0));
+        }
+
+        // Free play: the host can still take the losing discard back
+        expect(guest.last('cardDiscarded')).toMatchObject({ gameOver: true, seed: null });
+        expect(JSON.stringify(guest.messages)).not.toContain('final');
+
+        send(host, clientMessages.confirmResult());
+
+        expect(guest.last('resultConfirmed')).toMatchObject({ seed: 'final', undo: null });
+        expect(server.replay.seed).toBe('final');
+    });
+
+    it('lets only the host choose the seed, before the game', async () => {
+        const { server, host, guest, send } = await seededGame('final');
+
+        send(guest, clientMessages.setSeed('mine'));
+        send(host, clientMessages.setSeed(''));
+
+        expect(server.gameState.fixedSeed).toBe('final');
+        expect(guest.errors().map(e => e.code)).toEqual(['notHost']);
+        expect(host.errors().map(e => e.code)).toEqual(['gameInProgress']);
+    });
+});
+
+describe('spectators', () => {
+    const watch = (game, id, wantsSeat = false) => {
+        const connection = game.connect(id);
+        game.send(connection, clientMessages.spectate(id, `token-${id}`, wantsSeat));
+        return connection;
+    };
+
+    it('lets anyone watch a game in progress and counts them', async () => {
+        const game = await startedGame();
+
+        const spectator = watch(game, 's1');
+
+        expect(spectator.last('spectating')).toMatchObject({ wantsSeat: false });
+        expect(game.players[0].last('spectators')).toMatchObject({ spectatorCount: 1 });
+        expect(game.server.gameState.players).toHaveLength(2);
+    });
+
+    it('shows spectators only public information', async () => {
+        const game = await startedGame();
+        game.send(game.players[0], clientMessages.draw());
+        game.send(game.players[0], clientMessages.flip(0));
+        const hiddenId = game.server.getPlayer('p1').cards[0].id;
+
+        const spectator = watch(game, 's1');
+        game.send(spectator, clientMessages.sync());
+
+        expect(JSON.stringify(spectator.messages)).not.toContain(hiddenId);
+        expect(spectator.last('state').state.spectatorCount).toBe(1);
+    });
+
+    it('gives a held seat back to its owner instead of queueing them', async () => {
+        const game = await startedGame();
+        game.disconnect(game.players[1]);
+        const again = game.connect('p2-again');
+
+        game.send(again, clientMessages.spectate('p2', 'token-p2', true));
+        game.send(game.players[0], clientMessages.reset());
+
+        expect(again.last('joined')).toMatchObject({ playerId: 'p2' });
+        expect(game.server.getPlayer('p2').connected).toBe(true);
+        expect(game.server.gameState.players.map(p => p.id)).toEqual(['p1', 'p2']);
+        expect(game.server.sessions['token-p2']).toBe('p2');
+        expect(game.server.spectators.size).toBe(0);
+    });
+
+    it('keeps spectators\' hands off the table', async () => {
+        const game = await startedGame();
+        const spectator = watch(game, 's1');
+
+        game.send(spectator, clientMessages.draw());
+        game.send(spectator, clientMessages.reset());
+
+        expect(spectator.errors().map(e => e.code)).toEqual(['notSeated', 'notSeated']);
+        expect(game.server.gameState.deck).toHaveLength(110);
+    });
+
+    it('seats spectators who asked for a seat when the game is reset', async () => {
+        const game = await startedGame();
+        const waiting = watch(game, 's1', true);
+        const watcher = watch(game, 's2');
+
+        game.send(game.players[0], clientMessages.reset());
+
+        expect(waiting.last('joined')).toMatchObject({ playerId: 'p3' });
+        expect(game.server.gameState.players.map(p => p.id)).toEqual(['p1', 'p2', 'p3']);
+        expect(game.server.getPlayer('p3').cards.filter(Boolean)).toHaveLength(0);
+        expect(watcher.last('gameReset').players).toHaveLength(3);
+        expect(watcher.last('spectators')).toMatchObject({ spectatorCount: 1 });
+    });
+
+    it('seats a spectator straight away in the lobby', async () => {
+        const game = await createTestGame();
+        game.join('p1');
+
+        watch(game, 's1', true);
+
+        expect(game.server.gameState.players.map(p => p.id)).toEqual(['p1', 'p2']);
+        expect(game.server.spectators.size).toBe(0);
+    });
+
+    it('drops spectators from the count when they disconnect', async () => {
+        const game = await startedGame();
+        const spectator = watch(game, 's1');
+
+        game.disconnect(spectator);
+
+        expect(game.players[1].last('spectators')).toMatchObject({ spectatorCount: 0 });
+        expect(game.server.gameState.players).toHaveLength(2);
+    });
+
+    it('needs a name to wait for a seat', async () => {
+        const game = await startedGame();
+        const spectator = game.connect('s1');
+
+        game.send(spectator, clientMessages.spectate(undefined, undefined, true));
+
+        expect(spectator.last('error')).toMatchObject({ code: 'nameRequired' });
+    });
+});
+
+describe('chat', () => {
+    it('sends messages to the whole room without a state version', async () => {
+        const { server, join, connect, send } = await createTestGame();
+        const host = join('p1');
+        const watcher = connect('s1');
+        const version = server.gameState.version;
+
+        send(host, clientMessages.chat('  that is   not\na hat '));
+
+        expect(watcher.last('chat')).toEqual({
+            type: 'chat',
+            message: { playerId: 'p1', name: 'p1', text: 'that is not a hat', at: expect.any(Number) }
+        });
+        expect(watcher.last('chat')).not.toHaveProperty('version');
+        expect(server.gameState.version).toBe(version);
+    });
+
+    it('gives newcomers the recent history', async () => {
+        const { join, connect, send } = await createTestGame();
+        const host = join('p1');
+        for (let i = 0; i < 35; i++) {
+            send(host, clientMessages.chat(`message ${i}`));
+            vi.advanceTimersByTime(2000);
+        }
+
+        const late = connect('p2');
+
+        const history = late.last('chatHistory').messages;
+        expect(history).toHaveLength(30);
+        expect(history[29].text).toBe('message 34');
+    });
+
+    it('slows down a player who sends too many', async () => {
+        const { join, send } = await createTestGame();
+        const host = join('p1');
+        const guest = join('p2');
+
+        for (let i = 0; i < 6; i++) send(host, clientMessages.chat('spam'));
+        expect(host.last('error')).toMatchObject({ code: 'rateLimited' });
+        expect(guest.messages.filter(m => m.type === 'chat')).toHaveLength(5);
+
+        vi.advanceTimersByTime(10000);
+        send(host, clientMessages.chat('sorry'));
+        expect(guest.last('chat').message.text).toBe('sorry');
+    });
+
+    it('only lets seated players write, and not too much', async () => {
+        const { join, connect, send } = await createTestGame();
+        const host = join('p1');
+        const watcher = connect('s1');
+
+        send(watcher, clientMessages.chat('hi'));
+        send(host, clientMessages.chat('x'.repeat(201)));
+        send(host, clientMessages.chat('   '));
+
+        expect(watcher.errors().map(e => e.code)).toEqual(['notSeated']);
+        expect(host.errors().map(e => e.code)).toEqual(['invalidMessage', 'invalidMessage']);
+    });
+
+    it('floats reactions over the sender during a game', async () => {
+        const { players, send } = await startedGame();
+
+        send(players[0], clientMessages.react('🎩'));
+        send(players[0], clientMessages.react('💩'));
+
+        expect(players[1].last('reaction')).toEqual({ type: 'reaction', playerId: 'p1', reaction: '🎩' });
+        expect(players[0].last('error')).toMatchObject({ code: 'invalidMessage' });
+    });
+});
+
+describe('undo', () => {
+    it('takes back a discard, including the penalty', async () => {
+        const { server, players, send } = await startedGame();
+        for (let i = 0; i < 2; i++) {
+            send(players[0], clientMessages.draw());
+            send(players[0], clientMessages.discard(0));
+        }
+        const lastCard = server.gameState.discardHistory[1].card;
+
+        send(players[0], clientMessages.undo());
+
+        const p1 = server.getPlayer('p1');
+        expect(p1.penalties).toBe(1);
+        expect(p1.cards[0]).toBe(lastCard);
+        expect(server.gameState.discardHistory).toHaveLength(1);
+        expect(players[1].last('actionUndone')).toMatchObject({ action: 'discard', playerId: 'p1' });
+    });
+
+    it('takes back a discard that ended the game, until the host confirms it', async () => {
+        const { server, players, send } = await startedGame();
+        for (let i = 0; i < 3; i++) {
+            send(players[0], clientMessages.draw());
+            send(players[0], clientMessages.discard(0));
+        }
+        expect(players[0].last('cardDiscarded')).toMatchObject({ gameOver: true, undo: { action: 'discard' } });
+
+        send(players[0], clientMessages.undo());
+
+        expect(server.getPlayer('p1').penalties).toBe(2);
+        expect(players[1].last('actionUndone')).toMatchObject({ action: 'discard', playerId: 'p1' });
+    });
+
+    it('refuses once the host has confirmed the result', async () => {
+        const { server, players, send } = await startedGame();
+        for (let i = 0; i < 3; i++) {
+            send(players[0], clientMessages.draw());
+            send(players[0], clientMessages.discard(0));
+        }
+        send(players[1], clientMessages.confirmResult());
+        send(players[0], clientMessages.confirmResult());
+
+        send(players[0], clientMessages.undo());
+
+        expect(players[1].last('error')).toMatchObject({ code: 'notHost' });
+        expect(players[0].last('error')).toMatchObject({ code: 'gameOver' });
+        expect(server.getPlayer('p1').penalties).toBe(3);
+    });
+
+    it('has no result to confirm before game over', async () => {
+        const { players, send } = await startedGame();
+
+        send(players[0], clientMessages.confirmResult());
+
+        expect(players[0].last('error')).toMatchObject({ code: 'nothingToConfirm' });
+    });
+
+    it('puts a drawn card back on top of the deck', async () => {
+        const { server, players, send } = await startedGame();
+        const top = server.gameState.deck[server.gameState.deck.length - 1];
+        send(players[0], clientMessages.draw());
+
+        send(players[0], clientMessages.undo());
+
+        expect(server.gameState.deck).toHaveLength(110);
+        expect(server.gameState.deck[109]).toBe(top);
+        expect(cardIds(server.getPlayer('p1'))).toEqual([null, null]);
+    });
+
+    it('restores both players and the gift after a move', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.draw());
+        const before = cardIds(server.getPlayer('p1'));
+        send(players[0], clientMessages.moveCard('p1', 0, 'p2', 0, 'Hat'));
+
+        send(players[0], clientMessages.undo());
+
+        expect(cardIds(server.getPlayer('p1'))).toEqual(before);
+        expect(cardIds(server.getPlayer('p2'))).toEqual([null, null]);
+        expect(server.getPlayer('p1').cards[0].gift).toBeUndefined();
+    });
+
+    it('undoes flips and swaps in reverse order', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.draw());
+        const before = cardIds(server.getPlayer('p1'));
+        send(players[0], clientMessages.swapCards());
+        send(players[0], clientMessages.flip(0));
+
+        send(players[0], clientMessages.undo());
+        send(players[0], clientMessages.undo());
+
+        expect(cardIds(server.getPlayer('p1'))).toEqual(before);
+        expect(server.getPlayer('p1').cards.every(c => !c.isFlipped)).toBe(true);
+    });
+
+    it('closes the player\'s window after a few seconds but not the host\'s', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[1], clientMessages.draw());
+        vi.advanceTimersByTime(6000);
+
+        send(players[1], clientMessages.undo());
+        expect(players[1].last('error')).toMatchObject({ code: 'undoExpired' });
+
+        send(players[0], clientMessages.undo());
+        expect(server.getPlayer('p2').cards[0]).toBeNull();
+    });
+
+    it('only lets the host undo someone else\'s action', async () => {
+        const { players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+
+        send(players[1], clientMessages.undo());
+
+        expect(players[1].last('error')).toMatchObject({ code: 'notYourAction' });
+    });
+
+    it('stops at a change it did not record, such as a challenge', async () => {
+        const { server, players, send } = await startedGame();
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.moveCard('p1', 0, 'p2', 0, 'Zzz bluff'));
+        const bluff = server.getPlayer('p2').cards[0];
+        send(players[1], clientMessages.challenge(0));
+        send(players[1], clientMessages.draw());
+
+        send(players[0], clientMessages.undo());
+        send(players[0], clientMessages.undo());
+
+        expect(players[0].last('error')).toMatchObject({ code: 'nothingToUndo' });
+        expect(server.getPlayer('p1').penalties).toBe(1);
+        expect(server.gameState.discardHistory.map(d => d.card)).toEqual([bluff]);
+        expect(cardIds(server.getPlayer('p1'))).toEqual([null, null]);
+        expect(cardIds(server.getPlayer('p2'))).toEqual([null, null]);
+    });
+
+    it('survives another seat dropping out and reconnecting', async () => {
+        const { server, players, send, disconnect, join } = await startedGame(3);
+        send(players[0], clientMessages.draw());
+        disconnect(players[2]);
+        join('p3-again', 'p3', 'token-p3');
+
+        expect(players[0].last('playerJoined').undo).toMatchObject({ playerId: 'p1', action: 'draw' });
+        send(players[0], clientMessages.undo());
+
+        expect(cardIds(server.getPlayer('p1'))).toEqual([null, null]);
+    });
+
+    it('refuses once a player has left the table', async () => {
+        const { players, send } = await startedGame(3);
+        send(players[0], clientMessages.draw());
+        send(players[2], clientMessages.leave());
+
+        send(players[0], clientMessages.undo());
+
+        expect(players[0].last('error')).toMatchObject({ code: 'nothingToUndo' });
+    });
+});
+
+describe('state versions', () => {
+    it('stamps every event with the next version', async () => {
+        const { players, send } = await startedGame();
+        const before = players[1].last('gameStarted').version;
+
+        send(players[0], clientMessages.draw());
+        send(players[0], clientMessages.flip(0));
+
+        expect(players[1].last('cardDrawn').version).toBe(before + 1);
+        expect(players[1].last('cardFlipped').version).toBe(before + 2);
+    });
+
+    it('answers sync with a full snapshot of the table', async () => {
+        const { server, join, send } = await createTestGame();
+        const host = join('p1');
+        join('p2');
+        send(host, clientMessages.updateSettings({ slotCount: 3 }));
+        send(host, clientMessages.start());
+        send(host, clientMessages.draw());
+        send(host, clientMessages.discard(0));
+
+        send(host, clientMessages.sync());
+
+        expect(host.last('state').state).toMatchObject({
+            version: server.gameState.version,
+            gameStarted: true,
+            settings: expect.objectContaining({ slotCount: 3 }),
+            deckCount: 109,
+            discardHistory: [expect.objectContaining({ playerId: 'p1' })]
+        });
+    });
+
+    it('keeps counting after an empty room is reset', async () => {
+        const { server, players, send } = await startedGame();
+        const before = server.gameState.version;
+
+        send(players[0], clientMessages.leave());
+        send(players[1], clientMessages.leave());
+
+        expect(server.gameState.version).toBeGreaterThan(before);
+    });
+});
+
+describe('persistence', () => {
+    it('restores the game in a new server for the same room', async () => {
+        const room = new FakeRoom();
+        const first = await createTestGame(room);
+        const host = first.join('p1');
+        first.join('p2');
+        first.send(host, clientMessages.start());
+        await vi.runAllTimersAsync();
+
+        const second = await createTestGame(room);
+
+        expect(second.server.gameState.gameStarted).toBe(true);
+        expect(second.server.gameState.players.map(p => p.id)).toEqual(['p1', 'p2']);
+        expect(second.server.gameState.players.every(p => p.connected === false)).toBe(true);
+    });
+});
@@ -0,0 +1,90 @@
+// In-memory stand-ins for the PartyKit room and connections, so GameServer
+// can be driven headless from tests.
+import GameServer from '../../party/server.js';
+import { clientMessages } from '../../shared/protocol.js';
+
+// Room storage: get() with an array of keys resolves to a Map, like PartyKit
+export class FakeStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    async get(keys) {
+        if (!Array.isArray(keys)) return structuredClone(this.data.get(keys));
+        return new Map(keys.filter(k => this.data.has(k)).map(k => [k, structuredClone(this.data.get(k))]));
+    }
+
+    async put(entries) {
+        for (const [key, value] of Object.entries(entries)) {
+            this.data.set(key, structuredClone(value));
+        }
+    }
+}
+
+export class FakeConnection {
+    constructor(id) {
+        this.id = id;
+        this.messages = [];
+    }
+
+    send(raw) {
+        this.messages.push(JSON.parse(raw));
+    }
+
+    // Most recent message of a type (or any type)
+    last(type) {
+        const matching = type ? this.messages.filter(m => m.type === type) : this.messages;
+        return matching[matching.length - 1];
+    }
+
+    errors() {
+        return this.messages.filter(m => m.type === 'error');
+    }
+}
+
+export class FakeRoom {
+    constructor(id = 'TEST') {
+        this.id = id;
+        this.storage = new FakeStorage();
+        this.connections = new Map();
+    }
+
+    broadcast(raw, without = []) {
+        for (const connection of this.connections.values()) {
+            if (!without.includes(connection.id)) connection.send(raw);
+        }
+    }
+
+    getConnections() {
+        return this.connections.values();
+    }
+}
+
+// A server in a fresh room plus helpers to connect players and send messages
+export async function createTestGame(room = new FakeRoom()) {
+    const server = new GameServer(room);
+    await server.onStart();
+
+    const connect = id => {
+        const connection = new FakeConnection(id);
+        room.connections.set(id, connection);
+        server.onConnect(connection, {});
+        return connection;
+    };
+
+    const send = (connection, message) => server.onMessage(JSON.stringify(message), connection);
+
+    const disconnect = connection => {
+        room.connections.delete(connection.id);
+        server.onClose(connection);
+    };
+
+    // Connect and take a seat; the token defaults to one per connection id
+    const join = (id, name = id, token = `token-${id}`) => {
+        const connection = connect(id);
+        send(connection, clientMessages.join(name, token));
+        return connection;
+    };
+
+    return { server, room, connect, send, disconnect, join };
+}